@@ -0,0 +1,133 @@
+// TicketMonarch Telemetry Collector — Session Annotation
+// Shared by the background worker, the popup and extension pages.
+// Marks who produced a session (human / bot) so exports can be used as
+// supervised training data without a side spreadsheet, and holds the
+// list of labels operators can give in-stream markers.
+
+'use strict'
+
+const SESSION_LABELS = ['unknown', 'human', 'bot']
+const MAX_NOTE_LENGTH = 2000
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 40
+const MAX_PARTICIPANT_ID_LENGTH = 100
+
+// Stored as top-level fields of the session record, next to startTime
+const DEFAULT_ANNOTATION = {
+  label: 'unknown',
+  note: '',
+  tags: [],
+  participantId: null,
+}
+
+// Accepts an array or a comma-separated string
+function parseTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',')
+  const tags = []
+  for (const entry of list) {
+    const tag = typeof entry === 'string' ? entry.trim() : ''
+    if (tag && !tags.includes(tag)) tags.push(tag)
+  }
+  return tags
+}
+
+// Returns { annotation, errors }; only fields present in `raw` are
+// returned, so a partial update leaves the other fields alone
+function validateAnnotation(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const annotation = {}
+  const errors = []
+
+  if (input.label !== undefined) {
+    if (SESSION_LABELS.includes(input.label)) {
+      annotation.label = input.label
+    } else {
+      errors.push(`label must be one of: ${SESSION_LABELS.join(', ')}`)
+    }
+  }
+
+  if (input.note !== undefined) {
+    if (typeof input.note !== 'string') {
+      errors.push('note must be text')
+    } else if (input.note.length > MAX_NOTE_LENGTH) {
+      errors.push(`note is longer than ${MAX_NOTE_LENGTH} characters`)
+    } else {
+      annotation.note = input.note
+    }
+  }
+
+  if (input.tags !== undefined) {
+    const tags = parseTags(input.tags)
+    if (tags.length > MAX_TAGS) {
+      errors.push(`At most ${MAX_TAGS} tags`)
+    } else if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      errors.push(`Tags must be at most ${MAX_TAG_LENGTH} characters`)
+    } else {
+      annotation.tags = tags
+    }
+  }
+
+  if (input.participantId !== undefined) {
+    const participantId = typeof input.participantId === 'string' ? input.participantId.trim() : input.participantId
+    if (participantId === null || participantId === '') {
+      annotation.participantId = null
+    } else if (typeof participantId !== 'string' || participantId.length > MAX_PARTICIPANT_ID_LENGTH) {
+      errors.push(`participantId must be text of at most ${MAX_PARTICIPANT_ID_LENGTH} characters`)
+    } else {
+      annotation.participantId = participantId
+    }
+  }
+
+  return { annotation, errors }
+}
+
+// The annotation fields of a stored session, defaulted for sessions
+// recorded before annotation existed
+function sessionAnnotation(session) {
+  const annotation = {}
+  for (const [key, fallback] of Object.entries(DEFAULT_ANNOTATION)) {
+    annotation[key] = session && session[key] !== undefined ? session[key] : fallback
+  }
+  return annotation
+}
+
+// ── Markers ─────────────────────────────────────────────────────────
+// Operators drop markers ("task 3 begins", "CAPTCHA shown") with a
+// keyboard shortcut or from the popup. A marker's label is null or one
+// of the configured labels; the popup's choice is remembered for the
+// shortcut.
+const MARKER_LABELS_KEY = 'markerLabels'          // chrome.storage.sync
+const MARKER_SHORTCUT_LABEL_KEY = 'markerLabel'   // chrome.storage.local
+const MAX_MARKER_LABELS = 20
+const MAX_MARKER_LABEL_LENGTH = 40
+
+const DEFAULT_MARKER_LABELS = ['task start', 'task end', 'CAPTCHA shown']
+
+// Returns { labels, errors }; invalid entries are dropped
+function validateMarkerLabels(raw) {
+  const labels = []
+  const errors = []
+  if (!Array.isArray(raw)) return { labels: [...DEFAULT_MARKER_LABELS], errors: ['Marker labels must be a list'] }
+
+  for (const entry of raw) {
+    const label = typeof entry === 'string' ? entry.trim() : ''
+    if (!label) {
+      errors.push('Marker labels must be text')
+    } else if (label.length > MAX_MARKER_LABEL_LENGTH) {
+      errors.push(`Marker label "${label.slice(0, 20)}…" is longer than ${MAX_MARKER_LABEL_LENGTH} characters`)
+    } else if (!labels.includes(label)) {
+      labels.push(label)
+    }
+  }
+  if (labels.length > MAX_MARKER_LABELS) {
+    errors.push(`At most ${MAX_MARKER_LABELS} marker labels`)
+    labels.length = MAX_MARKER_LABELS
+  }
+  return { labels, errors }
+}
+
+async function loadMarkerLabels() {
+  const result = await chrome.storage.sync.get(MARKER_LABELS_KEY)
+  if (result[MARKER_LABELS_KEY] === undefined) return [...DEFAULT_MARKER_LABELS]
+  return validateMarkerLabels(result[MARKER_LABELS_KEY]).labels
+}
@@ -1,21 +1,31 @@
 // TicketMonarch Telemetry Collector — Background Service Worker
-// Manages sessions, stores telemetry segments, handles idle detection
-// at the system level, and provides export functionality.
+// Manages sessions, stores telemetry segments, records the browser's tab,
+// window and system idle timeline, starts and stops recording on the
+// configured schedule, handles keyboard shortcuts and markers, stores
+// generated synthetic sessions, and provides export functionality.
 //
 // MV3 constraints addressed:
-//   - No Blob / URL.createObjectURL (use data-URL for export)
+//   - No Blob / URL.createObjectURL (exports go through offscreen.html)
 //   - Service worker can be killed at any time (persist all state)
 //   - Storage writes must be serialized (write queue)
+//   - Segments live in IndexedDB (db.js), appended one flush at a time
 
 'use strict'
 
+importScripts('config.js', 'siterules.js', 'privacy.js', 'annotation.js', 'schema.js', 'retention.js', 'schedule.js', 'db.js', 'consolidate.js', 'quality.js', 'synthetic.js', 'upload.js')
+
 // ── In-memory cache (restored from storage on wake) ─────────────────
 let sessionId = null
 let recording = false
-let totalEvents = { mouse: 0, clicks: 0, keystrokes: 0, scroll: 0 }
+let pauseReason = null   // 'storage-full' | 'write-failed' | 'idle' | 'locked' | 'manual' while paused
+let totalEvents = emptyEventCounts()
 let segmentCount = 0
 let stateRestored = false
 
+function emptyEventCounts() {
+  return Object.fromEntries(EVENT_TYPES.map(type => [type, 0]))
+}
+
 // ── Write queue to prevent concurrent storage races ─────────────────
 let writeQueue = Promise.resolve()
 
@@ -40,14 +50,60 @@ async function restoreState() {
   if (stateRestored) return
   try {
     const result = await chrome.storage.session.get([
-      'sessionId', 'recording', 'totalEvents', 'segmentCount'
+      'sessionId', 'recording', 'pauseReason', 'totalEvents', 'segmentCount'
     ])
     if (result.sessionId) sessionId = result.sessionId
     if (result.recording) recording = result.recording
-    if (result.totalEvents) totalEvents = result.totalEvents
+    if (result.pauseReason) pauseReason = result.pauseReason
+    if (result.totalEvents) totalEvents = { ...emptyEventCounts(), ...result.totalEvents }
     if (typeof result.segmentCount === 'number') segmentCount = result.segmentCount
   } catch { /* first run, no stored state */ }
   stateRestored = true
+
+  // Serialized ahead of any telemetry write from this wake-up
+  enqueueWrite(migrateLegacyStorage)
+  enqueueWrite(migrateStoredSessions)
+}
+
+// ── Legacy chrome.storage.local migration ───────────────────────────
+// Versions before the IndexedDB store kept everything in one `sessions`
+// map in chrome.storage.local. Move it over once, then drop the key.
+// Each session is written in one transaction, so a session already in
+// IndexedDB was moved by a run the worker didn't live to finish.
+async function migrateLegacyStorage() {
+  const result = await chrome.storage.local.get('sessions')
+  const legacy = result.sessions
+  if (!legacy) return
+
+  for (const [sid, session] of Object.entries(legacy)) {
+    if (await dbGetSession(sid)) continue
+    const segments = (session.segments || []).map(seg => ({ ...seg, sessionId: sid, syncState: SYNC_NEW }))
+    const pageMeta = (session.pageMeta || []).map(meta => ({ ...meta, sessionId: sid }))
+    await dbWriteSessionBundle({ sessionId: sid, startTime: session.startTime }, segments, pageMeta)
+  }
+
+  await chrome.storage.local.remove('sessions')
+  console.info(`[TM background] migrated ${Object.keys(legacy).length} session(s) to IndexedDB`)
+}
+
+// ── Stored-data schema migrations (see schema.js) ───────────────────
+// Upgrades sessions stored by older versions of the extension, with
+// their page meta and browser events, to the current schemaVersion
+async function migrateStoredSessions() {
+  const outdated = (await dbGetAllSessions()).filter(s => (s.schemaVersion ?? 0) < SCHEMA_VERSION)
+  for (const session of outdated) {
+    const sid = session.sessionId
+    const { pageMeta, browserEvents, ...migrated } = migrateSessionHeader({
+      ...session,
+      pageMeta: await dbGetPageMeta(sid),
+      browserEvents: await dbGetBrowserEvents(sid),
+    })
+    const withSession = records => records.map(record => ({ ...record, sessionId: sid }))
+    await dbReplaceSessionHeader(migrated, withSession(pageMeta), withSession(browserEvents))
+  }
+  if (outdated.length > 0) {
+    console.info(`[TM background] upgraded ${outdated.length} session(s) to schema version ${SCHEMA_VERSION}`)
+  }
 }
 
 // Restore immediately on load
@@ -56,8 +112,9 @@ restoreState()
 // ── Session management ──────────────────────────────────────────────
 async function startNewSession() {
   sessionId = uuidv4()
-  totalEvents = { mouse: 0, clicks: 0, keystrokes: 0, scroll: 0 }
+  totalEvents = emptyEventCounts()
   segmentCount = 0
+  flushSequences.clear()
 
   await chrome.storage.session.set({
     sessionId,
@@ -66,34 +123,124 @@ async function startNewSession() {
     segmentCount,
   })
 
-  // Initialize session entry in storage
+  // Initialize session entry in storage, recording how it was sampled
+  // and redacted
+  const newSessionId = sessionId
+  const config = await loadConfig()
+  const privacy = privacySummary(await loadPrivacy())
   await enqueueWrite(async () => {
-    const sessionsResult = await chrome.storage.local.get('sessions')
-    const sessions = sessionsResult.sessions || {}
-    sessions[sessionId] = {
+    await dbPutSession({
+      schemaVersion: SCHEMA_VERSION,
+      sessionId: newSessionId,
       startTime: Date.now(),
-      segments: [],
-      pageMeta: [],
-    }
-    await chrome.storage.local.set({ sessions })
+      ...DEFAULT_ANNOTATION,
+      config,
+      configChanges: [],
+      privacy,
+      privacyChanges: [],
+    })
   })
 
   return sessionId
 }
 
+// Picks a stored session up again after a browser restart, with its
+// counters rebuilt from the stored flushes. The time the browser was
+// closed is recorded as a pause (or ends the pause it was closed in).
+async function continueSession(sid) {
+  const session = await dbGetSession(sid)
+  if (!session) return false
+
+  const counts = emptyEventCounts()
+  let flushes = 0
+  let lastTimestamp = session.startTime
+  await dbForEachSegmentBatch(sid, 500, batch => {
+    for (const seg of batch) {
+      flushes++
+      lastTimestamp = Math.max(lastTimestamp, seg.timestamp)
+      for (const type of EVENT_TYPES) counts[type] += (seg[type] || []).length
+    }
+  })
+
+  sessionId = sid
+  totalEvents = counts
+  segmentCount = flushes
+  pauseReason = null
+  await chrome.storage.session.set({ sessionId, recording: true, pauseReason, totalEvents, segmentCount })
+
+  const now = Date.now()
+  updateSession(sid, stored => {
+    stored.pauses = stored.pauses || []
+    const last = stored.pauses.at(-1)
+    if (last && last.end === null) last.end = now
+    else stored.pauses.push({ start: lastTimestamp, end: now, reason: 'browser-closed' })
+  })
+  console.info(`[TM background] continuing session ${sid}`)
+  return true
+}
+
+// chrome.storage.session is cleared when the browser closes; this copy
+// lets automatic recording find the session it was recording
+async function saveRecordingState(source) {
+  await chrome.storage.local.set({ [RECORDING_STATE_KEY]: { sessionId, recording, source } })
+}
+
+// Read-modify-write of one session record, serialized with other writes
+function updateSession(sid, fn) {
+  return enqueueWrite(async () => {
+    const session = await dbGetSession(sid)
+    if (!session) return
+    fn(session)
+    await dbPutSession(session)
+  })
+}
+
+// Partial update of label / note / tags / participantId
+async function annotateSession(sid, raw) {
+  const { annotation, errors } = validateAnnotation(raw)
+  if (errors.length > 0) return { success: false, error: errors.join('; ') }
+
+  const session = await dbGetSession(sid)
+  if (!session) return { success: false, error: 'Session not found' }
+
+  await updateSession(sid, stored => Object.assign(stored, annotation))
+  return { success: true, annotation: { ...sessionAnnotation(session), ...annotation } }
+}
+
 // ── Recording control ───────────────────────────────────────────────
-async function startRecording() {
+// source is 'manual' (popup) or 'schedule'; continueSid picks a stored
+// session up again instead of starting a new one, when it still exists
+async function startRecording(source = 'manual', continueSid = null) {
   if (recording) return
   await restoreState()
 
-  const sid = await startNewSession()
+  const sid = continueSid && await continueSession(continueSid) ? continueSid : await startNewSession()
   recording = true
+  await saveRecordingState(source)
+  await startContentScripts(sid)
+  recordFocusedTab()
+  checkStorage()
+}
 
-  // Notify all content scripts
+async function stopRecording() {
+  if (!recording) return
+  if (pauseReason) await endPause()
+  recording = false
+
+  await chrome.storage.session.set({ recording: false })
+  await saveRecordingState(null)
+  await stopContentScripts()
+
+  // Ship the tail of the session without waiting for the next alarm
+  runUploadCycle()
+}
+
+// Notify content scripts on pages the site rules allow
+async function startContentScripts(sid) {
+  const siteRules = await loadSiteRules()
   const tabs = await chrome.tabs.query({})
   for (const tab of tabs) {
-    if (tab.id && tab.url && !tab.url.startsWith('chrome://') &&
-        !tab.url.startsWith('chrome-extension://') && !tab.url.startsWith('about:')) {
+    if (tab.id && isUrlAllowed(tab.url, siteRules)) {
       try {
         await chrome.tabs.sendMessage(tab.id, { type: 'start_recording', sessionId: sid })
       } catch { /* tab may not have content script injected yet */ }
@@ -101,16 +248,10 @@ async function startRecording() {
   }
 }
 
-async function stopRecording() {
-  if (!recording) return
-  recording = false
-
-  await chrome.storage.session.set({ recording: false })
-
+async function stopContentScripts() {
   const tabs = await chrome.tabs.query({})
   for (const tab of tabs) {
-    if (tab.id && tab.url && !tab.url.startsWith('chrome://') &&
-        !tab.url.startsWith('chrome-extension://') && !tab.url.startsWith('about:')) {
+    if (tab.id && !isRestrictedUrl(tab.url)) {
       try {
         await chrome.tabs.sendMessage(tab.id, { type: 'stop_recording' })
       } catch { /* ignore */ }
@@ -119,154 +260,905 @@ async function stopRecording() {
 }
 
 // ── Telemetry storage (serialized via write queue) ──────────────────
+// Data from an iframe is filed under its tab's top-level page; the
+// frame's own document URL is kept separately as frameUrl. The tab URL
+// is redacted here the same way content scripts redact their own.
+function frameContext(data, sender, redactor) {
+  const frameId = sender.frameId ?? 0
+  const context = { frameId, url: data.url, hostname: data.hostname, frameUrl: data.frameUrl ?? data.url }
+
+  if (frameId !== 0 && sender.tab && sender.tab.url) {
+    context.url = redactor.url(sender.tab.url)
+    try { context.hostname = redactor.hostname(new URL(sender.tab.url).hostname) } catch { /* keep frame hostname */ }
+  }
+  return context
+}
+
+let privacyRedactor = null
+
+function getRedactor() {
+  if (!privacyRedactor) {
+    privacyRedactor = Promise.all([loadPrivacy(), loadPrivacySalt()])
+      .then(([settings, salt]) => createRedactor(settings, salt))
+  }
+  return privacyRedactor
+}
+
+// Creates the per-install salt before any content script needs it
+getRedactor()
+
 function storeTelemetry(data) {
   if (!recording || !sessionId) return
+  // Empty segment ends are neither stored nor numbered
+  if (!EVENT_TYPES.some(type => (data[type] || []).length > 0)) return
+  if (!checkFlushSequence(data)) return
 
   // Count events immediately in memory
-  totalEvents.mouse += (data.mouse || []).length
-  totalEvents.clicks += (data.clicks || []).length
-  totalEvents.keystrokes += (data.keystrokes || []).length
-  totalEvents.scroll += (data.scroll || []).length
+  for (const type of EVENT_TYPES) totalEvents[type] += (data[type] || []).length
 
   const segment = {
+    sessionId,
     segmentId: data.segmentId,
     tabId: data.tabId,
+    frameId: data.frameId,
     url: data.url,
     hostname: data.hostname,
+    frameUrl: data.frameUrl,
+    frameOffset: data.frameOffset ?? null,
+    timeOrigin: data.timeOrigin ?? null,
     timestamp: data.timestamp,
     isSegmentEnd: data.isSegmentEnd || false,
-    mouse: data.mouse || [],
-    clicks: data.clicks || [],
-    keystrokes: data.keystrokes || [],
-    scroll: data.scroll || [],
+    seq: data.seq ?? null,
+    seqStream: data.seqStream ?? null,
+    syncState: SYNC_NEW,
   }
-
-  const hasData = segment.mouse.length || segment.clicks.length ||
-                  segment.keystrokes.length || segment.scroll.length
-  if (!hasData) return
+  for (const type of EVENT_TYPES) segment[type] = data[type] || []
 
   // Serialize the storage write to prevent races
-  enqueueWrite(async () => {
-    const sessionsResult = await chrome.storage.local.get('sessions')
-    const sessions = sessionsResult.sessions || {}
-    const session = sessions[sessionId]
-    if (!session) return
-
-    session.segments.push(segment)
-    segmentCount = session.segments.length
-
-    sessions[sessionId] = session
-    await chrome.storage.local.set({ sessions })
+  storeOrHold(async () => {
+    await dbAddSegment(segment)
+    segmentCount++
     await persistCounters()
   })
+
+  if (++writesSinceStorageCheck >= STORAGE_CHECK_WRITES) checkStorage()
+}
+
+// ── Flush sequence checks (see quality.js) ──────────────────────────
+// The highest flush number seen per content-script run this session. A
+// repeat is dropped; a jump means flushes went missing on the way. Both
+// are noted in the session's qualityEvents. The map lives in memory: after
+// a worker restart each stream's next flush sets the baseline again, and
+// the quality report still finds anything lost from the stored flushes.
+const flushSequences = new Map()   // tab:frame:seqStream → highest seq
+
+// False for a flush already received
+function checkFlushSequence(data) {
+  if (typeof data.seq !== 'number' || !data.seqStream) return true
+
+  const key = `${data.tabId}:${data.frameId}:${data.seqStream}`
+  const last = flushSequences.get(key)
+  const where = { tabId: data.tabId ?? null, frameId: data.frameId ?? 0, seq: data.seq }
+  if (last !== undefined && data.seq <= last) {
+    recordQualityEvent({ type: 'duplicate-flush', ...where })
+    return false
+  }
+  if (last !== undefined && data.seq > last + 1) {
+    recordQualityEvent({ type: 'lost-flushes', ...where, count: data.seq - last - 1 })
+  }
+  flushSequences.set(key, data.seq)
+  return true
+}
+
+// A write for the queue (or the held writes) adding one quality event
+function qualityEventWrite(sid, event) {
+  const stamped = { timestamp: Date.now(), ...event }
+  return async () => {
+    const session = await dbGetSession(sid)
+    if (!session) return
+    session.qualityEvents = session.qualityEvents || []
+    session.qualityEvents.push(stamped)
+    await dbPutSession(session)
+  }
+}
+
+function recordQualityEvent(event) {
+  console.warn('[TM background] data quality:', event)
+  enqueueWrite(qualityEventWrite(sessionId, event))
 }
 
 function storePageMeta(data) {
   if (!recording || !sessionId) return
 
-  enqueueWrite(async () => {
-    const sessionsResult = await chrome.storage.local.get('sessions')
-    const sessions = sessionsResult.sessions || {}
-    const session = sessions[sessionId]
-    if (!session) return
+  const meta = {
+    sessionId,
+    tabId: data.tabId ?? null,
+    frameId: data.frameId ?? 0,
+    segmentId: data.segmentId ?? null,
+    url: data.url,
+    hostname: data.hostname,
+    frameUrl: data.frameUrl ?? data.url,
+    clientHints: data.clientHints,
+    network: data.network,
+    timeOrigin: data.timeOrigin ?? null,
+    timestamp: data.timestamp,
+  }
 
-    session.pageMeta.push({
-      url: data.url,
-      hostname: data.hostname,
-      clientHints: data.clientHints,
-      network: data.network,
-      timestamp: data.timestamp,
-    })
+  storeOrHold(() => dbAddPageMeta(meta))
+}
+
+// ── Export (built in an offscreen document, which can use Blobs) ────
+const OFFSCREEN_URL = 'offscreen.html'
 
-    sessions[sessionId] = session
-    await chrome.storage.local.set({ sessions })
+let exportProgress = null   // { exportId, done, total } while running
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  })
+  if (contexts.length > 0) return
+
+  await chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: [chrome.offscreen.Reason.BLOBS],
+    justification: 'Build telemetry export files as Blobs',
   })
 }
 
-// ── Export (data-URL approach — Blob/createObjectURL unavailable) ────
-async function exportData() {
-  const sessionsResult = await chrome.storage.local.get('sessions')
-  const sessions = sessionsResult.sessions || {}
+async function closeOffscreenDocument() {
+  try {
+    await chrome.offscreen.closeDocument()
+  } catch { /* not open */ }
+}
 
-  if (Object.keys(sessions).length === 0) {
-    return { success: false, error: 'No data to export' }
+// How long a started download may take before the export gives up on it
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000
+
+// Starts a download. Resolves with its id (undefined if Chrome refused it)
+// and a promise for whether Chrome finished reading the blob URL. The
+// listener goes on first: a small blob can complete before download()
+// resolves with the id.
+async function startDownload(options) {
+  const finalStates = new Map()   // downloadId → 'complete' | 'interrupted'
+  let onFinalState = () => {}
+  function onChanged(delta) {
+    const state = delta.state && delta.state.current
+    if (state !== 'complete' && state !== 'interrupted') return
+    finalStates.set(delta.id, state)
+    onFinalState()
   }
+  chrome.downloads.onChanged.addListener(onChanged)
 
-  // Consolidate segments per session: merge consecutive flushes
-  // within the same segment_id into single segments
-  const consolidated = {}
-  for (const [sid, session] of Object.entries(sessions)) {
-    const mergedSegments = []
-    let currentSeg = null
-
-    for (const seg of session.segments) {
-      if (currentSeg && currentSeg.segmentId === seg.segmentId) {
-        currentSeg.mouse.push(...seg.mouse)
-        currentSeg.clicks.push(...seg.clicks)
-        currentSeg.keystrokes.push(...seg.keystrokes)
-        currentSeg.scroll.push(...seg.scroll)
-        currentSeg.endTime = seg.timestamp
-      } else {
-        if (currentSeg) mergedSegments.push(currentSeg)
-        currentSeg = {
-          segmentId: seg.segmentId,
-          tabId: seg.tabId,
-          url: seg.url,
-          hostname: seg.hostname,
-          startTime: seg.timestamp,
-          endTime: seg.timestamp,
-          mouse: [...seg.mouse],
-          clicks: [...seg.clicks],
-          keystrokes: [...seg.keystrokes],
-          scroll: [...seg.scroll],
-        }
-      }
-    }
-    if (currentSeg) mergedSegments.push(currentSeg)
-
-    consolidated[sid] = {
-      sessionId: sid,
-      startTime: session.startTime,
-      pageMeta: session.pageMeta,
-      totalSegments: mergedSegments.length,
-      segments: mergedSegments,
+  let downloadId
+  try {
+    downloadId = await chrome.downloads.download(options)
+  } finally {
+    if (downloadId === undefined) chrome.downloads.onChanged.removeListener(onChanged)
+  }
+  if (downloadId === undefined) return { downloadId }
+
+  const done = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.downloads.onChanged.removeListener(onChanged)
+      reject(new Error('Download did not finish'))
+    }, DOWNLOAD_TIMEOUT_MS)
+    onFinalState = () => {
+      if (!finalStates.has(downloadId)) return
+      clearTimeout(timer)
+      chrome.downloads.onChanged.removeListener(onChanged)
+      resolve(finalStates.get(downloadId) === 'complete')
     }
+    onFinalState()
+  })
+  return { downloadId, done }
+}
+
+// Options: { format: key of EXPORT_FORMATS, perSession: boolean,
+//            sessionIds: string[] (optional subset, default all),
+//            includeFeatures: boolean (json / ndjson only) }
+async function exportData(options = {}) {
+  if (exportProgress) return { success: false, error: 'Export already running' }
+
+  const exportId = uuidv4()
+  exportProgress = { exportId, done: 0, total: 0 }
+
+  try {
+    return await runExport(exportId, options)
+  } catch (err) {
+    return { success: false, error: err.message || 'Download failed' }
+  } finally {
+    exportProgress = null
+    await closeOffscreenDocument()
   }
+}
 
-  // Build a data-URL (service workers can't use Blob/createObjectURL)
-  const jsonStr = JSON.stringify(consolidated, null, 2)
-  const bytes = new TextEncoder().encode(jsonStr)
-  let binary = ''
-  for (let i = 0; i < bytes.length; i++) {
-    binary += String.fromCharCode(bytes[i])
+async function runExport(exportId, options) {
+  const formatName = EXPORT_FORMATS[options.format] ? options.format : 'json'
+  const format = EXPORT_FORMATS[formatName]
+
+  // Let queued flushes land before reading
+  await writeQueue
+  let sessions = await dbGetAllSessions()
+  if (Array.isArray(options.sessionIds)) {
+    sessions = sessions.filter(s => options.sessionIds.includes(s.sessionId))
   }
-  const base64 = btoa(binary)
-  const dataUrl = `data:application/json;base64,${base64}`
 
-  const filename = `telemetry_export_${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+  if (sessions.length === 0) {
+    return { success: false, error: 'No data to export' }
+  }
 
-  try {
-    const downloadId = await chrome.downloads.download({
-      url: dataUrl,
-      filename,
-      saveAs: true,
+  const counts = {}
+  let total = 0
+  for (const session of sessions) {
+    counts[session.sessionId] = await dbCountSegments(session.sessionId)
+    total += counts[session.sessionId]
+  }
+  exportProgress.total = total
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+  const files = options.perSession
+    ? sessions.map(s => ({
+      sessionIds: [s.sessionId],
+      filename: `telemetry_export_${stamp}/session_${s.sessionId}.${format.extension}`,
+    }))
+    : [{
+      sessionIds: sessions.map(s => s.sessionId),
+      filename: `telemetry_export_${stamp}.${format.extension}`,
+    }]
+
+  await ensureOffscreenDocument()
+
+  let progressBase = 0
+  let schemaProblems = 0
+  const schemaErrors = []
+  for (const file of files) {
+    const built = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'offscreen_build_export',
+      exportId,
+      format: formatName,
+      sessionIds: file.sessionIds,
+      includeFeatures: Boolean(options.includeFeatures),
+      progressBase,
+      progressTotal: total,
     })
-    if (downloadId === undefined) {
-      return { success: false, error: chrome.runtime.lastError?.message || 'Download failed' }
+    if (!built || !built.success) {
+      return { success: false, error: (built && built.error) || 'Export failed' }
     }
-    return { success: true, filename }
-  } catch (err) {
-    return { success: false, error: err.message || 'Download failed' }
+    schemaProblems += built.schemaProblems
+    schemaErrors.push(...built.schemaErrors.slice(0, MAX_SCHEMA_ERRORS - schemaErrors.length))
+
+    try {
+      const download = await startDownload({
+        url: built.url,
+        filename: file.filename,
+        saveAs: !options.perSession,
+      })
+      if (download.downloadId === undefined) {
+        return { success: false, error: chrome.runtime.lastError?.message || 'Download failed' }
+      }
+      // Exported sessions may be rotated out by the retention policy
+      if (await download.done) {
+        const exportedAt = Date.now()
+        for (const sid of file.sessionIds) updateSession(sid, session => { session.exportedAt = exportedAt })
+      }
+    } finally {
+      await chrome.runtime.sendMessage({ target: 'offscreen', type: 'offscreen_revoke_url', url: built.url })
+    }
+
+    for (const sid of file.sessionIds) progressBase += counts[sid]
   }
+
+  if (schemaProblems > 0) console.warn(`[TM background] export has ${schemaProblems} schema problem(s):`, schemaErrors)
+  checkStorage(true)
+  return { success: true, filename: files[0].filename, fileCount: files.length, schemaProblems, schemaErrors }
 }
 
 async function clearData() {
-  await chrome.storage.local.remove('sessions')
-  totalEvents = { mouse: 0, clicks: 0, keystrokes: 0, scroll: 0 }
+  await enqueueWrite(dbClearAll)
+  totalEvents = emptyEventCounts()
   segmentCount = 0
   await persistCounters()
 }
 
+// ── Session manager operations ───────────────────────────────────────
+function isActiveSession(sid) {
+  return recording && sid === sessionId
+}
+
+async function deleteSessions(sessionIds) {
+  if (sessionIds.some(isActiveSession)) {
+    return { success: false, error: 'Stop recording before deleting the active session' }
+  }
+
+  await enqueueWrite(async () => {
+    for (const sid of sessionIds) await dbDeleteSession(sid)
+  })
+
+  // The popup counters describe the last session; reset them if it is gone
+  if (sessionIds.includes(sessionId)) {
+    totalEvents = emptyEventCounts()
+    segmentCount = 0
+    await persistCounters()
+  }
+  return { success: true }
+}
+
+// One list of every session's entries under `key`, in time order
+function mergedHistory(sessions, key, timeKey) {
+  return sessions.flatMap(s => s[key] || []).sort((a, b) => a[timeKey] - b[timeKey])
+}
+
+// Merges into the earliest of the sessions. Annotations are combined:
+// the first known label and participant wins, tags and notes are joined;
+// histories (pauses, quality events, setting changes) are interleaved.
+async function mergeSessions(sessionIds) {
+  const ids = [...new Set(sessionIds)]
+  if (ids.length < 2) return { success: false, error: 'Select at least two sessions to merge' }
+  if (ids.some(isActiveSession)) {
+    return { success: false, error: 'Stop recording before merging the active session' }
+  }
+
+  let target = null
+  await enqueueWrite(async () => {
+    const sessions = []
+    for (const sid of ids) {
+      const session = await dbGetSession(sid)
+      if (session) sessions.push(session)
+    }
+    if (sessions.length < 2) return
+    sessions.sort((a, b) => a.startTime - b.startTime)
+
+    const annotations = sessions.map(sessionAnnotation)
+    target = {
+      ...sessions[0],
+      label: (annotations.find(a => a.label !== 'unknown') || annotations[0]).label,
+      participantId: (annotations.find(a => a.participantId) || annotations[0]).participantId,
+      tags: parseTags(annotations.flatMap(a => a.tags)),
+      note: annotations.map(a => a.note).filter(Boolean).join('\n'),
+      configChanges: mergedHistory(sessions, 'configChanges', 'timestamp'),
+      privacyChanges: mergedHistory(sessions, 'privacyChanges', 'timestamp'),
+      pauses: mergedHistory(sessions, 'pauses', 'start'),
+      qualityEvents: mergedHistory(sessions, 'qualityEvents', 'timestamp'),
+      // Flush records moved in below are marked mergedFrom; so are their ranges
+      deletedFlushes: sessions.flatMap((s, i) => (s.deletedFlushes || []).map(range =>
+        i === 0 ? range : { ...range, mergedFrom: range.mergedFrom ?? s.sessionId })),
+      mergedFrom: [
+        ...(sessions[0].mergedFrom || []),
+        ...sessions.slice(1).flatMap(s => [s.sessionId, ...(s.mergedFrom || [])]),
+      ],
+    }
+    delete target.exportedAt   // the merged whole has not been exported yet
+    await dbMergeSessions(target, sessions.slice(1).map(s => s.sessionId))
+  })
+  if (!target) return { success: false, error: 'Sessions not found' }
+
+  // Keep the popup pointing at a session that still exists
+  if (ids.includes(sessionId) && sessionId !== target.sessionId) {
+    sessionId = target.sessionId
+    await chrome.storage.session.set({ sessionId })
+  }
+  return { success: true, sessionId: target.sessionId }
+}
+
+// ── Import (files are parsed and validated by the session manager) ───
+// Each imported segment is stored as a single flush record. Imports are
+// never uploaded: they came from a machine with its own collector.
+function pageMetaIdentity(meta) {
+  return `${meta.tabId}:${meta.frameId ?? 0}:${meta.timestamp}:${meta.url}`
+}
+
+function browserEventIdentity(event) {
+  return `${event.type}:${event.tabId}:${event.windowId}:${event.timestamp}`
+}
+
+// Header records (page meta, browser events) not already stored
+function newHeaderRecords(sid, records, stored, identity) {
+  const known = new Set(stored.map(identity))
+  const added = []
+  for (const raw of records || []) {
+    const record = { ...raw, sessionId: sid }
+    delete record.id
+    if (known.has(identity(record))) continue
+    known.add(identity(record))
+    added.push(record)
+  }
+  return added
+}
+
+function importedSessionRecord(sid, header, source) {
+  // Imported segments carry no flush numbers to hold deletions against
+  const { pageMeta, browserEvents, deletedFlushes, ...record } = header
+  const { annotation } = validateAnnotation(sessionAnnotation(record))
+  return {
+    ...record,
+    ...DEFAULT_ANNOTATION,
+    ...annotation,
+    sessionId: sid,
+    importedFrom: source,
+    importedAt: Date.now(),
+  }
+}
+
+function importedSegmentRecord(sid, seg) {
+  const { features, quality, ...rest } = seg   // derived, recomputed on export
+  return {
+    ...rest,
+    sessionId: sid,
+    frameId: seg.frameId ?? 0,
+    timestamp: seg.endTime,
+    isSegmentEnd: true,
+    syncState: SYNC_IMPORTED,
+  }
+}
+
+// Creates the session, or adds to a stored one with the same id and
+// start time. A stored session with a different start time conflicts.
+async function importSessionHeader(sid, header, source) {
+  if (isActiveSession(sid)) return { success: false, error: 'Stop recording before importing into the active session' }
+
+  let result = null
+  await enqueueWrite(async () => {
+    const existing = await dbGetSession(sid)
+    if (existing && existing.startTime !== header.startTime) {
+      result = { success: true, status: 'conflict' }
+      return
+    }
+
+    const current = migrateSessionHeader(header)
+    const pageMeta = newHeaderRecords(sid, current.pageMeta, await dbGetPageMeta(sid), pageMetaIdentity)
+    const browserEvents = newHeaderRecords(sid, current.browserEvents, await dbGetBrowserEvents(sid), browserEventIdentity)
+
+    await dbWriteSessionBundle(existing || importedSessionRecord(sid, current, source), [], pageMeta, browserEvents)
+    result = { success: true, status: existing ? 'merged' : 'created' }
+  })
+  return result || { success: false, error: 'Import failed' }
+}
+
+// Adds segments not already stored. Same identity and event counts is a
+// duplicate; same identity with different counts is a conflict, and the
+// stored copy is kept.
+async function importSegments(sid, segments) {
+  let result = null
+  await enqueueWrite(async () => {
+    const session = await dbGetSession(sid)
+    if (!session) {
+      result = { success: false, error: 'Session not found' }
+      return
+    }
+
+    const known = new Map()   // identity → fingerprint
+    const merger = createSegmentMerger(seg => known.set(segmentIdentity(seg), segmentFingerprint(seg)))
+    await dbForEachSegmentBatch(sid, 500, batch => {
+      for (const record of batch) merger.push(record)
+    })
+    merger.end()
+
+    const added = []
+    const conflicts = []
+    let duplicates = 0
+    for (const seg of segments) {
+      const key = segmentIdentity(seg)
+      if (known.has(key)) {
+        if (known.get(key) === segmentFingerprint(seg)) duplicates++
+        else conflicts.push({ tabId: seg.tabId, frameId: seg.frameId ?? 0, segmentId: seg.segmentId, startTime: seg.startTime })
+        continue
+      }
+      known.set(key, segmentFingerprint(seg))
+      added.push(importedSegmentRecord(sid, seg))
+    }
+
+    await dbWriteSessionBundle(session, added, [])
+    result = { success: true, added: added.length, duplicates, conflicts }
+  })
+  return result || { success: false, error: 'Import failed' }
+}
+
+// ── Synthetic sessions (see synthetic.js) ───────────────────────────
+// Stored like recorded sessions, so they upload, export and replay the
+// same way; the label and the session's synthetic block set them apart.
+async function loadMergedSegments(sid) {
+  const segments = []
+  const merger = createSegmentMerger(seg => segments.push(seg))
+  await dbForEachSegmentBatch(sid, 500, batch => {
+    for (const record of batch) merger.push(record)
+  })
+  merger.end()
+  return segments
+}
+
+async function generateSyntheticSessions(raw) {
+  const { options, errors } = validateGeneratorOptions(raw)
+  if (errors.length > 0) return { success: false, error: errors.join('; ') }
+
+  const config = await loadConfig()
+  let source = null
+  if (options.strategy === 'replay') {
+    if (!(await dbGetSession(options.sourceSessionId))) return { success: false, error: 'Source session not found' }
+    source = { sessionId: options.sourceSessionId, segments: await loadMergedSegments(options.sourceSessionId) }
+    if (replayableSegments(source.segments).length === 0) {
+      return { success: false, error: 'The source session has no mouse, click or keyboard input to replay' }
+    }
+  }
+
+  const seed = options.seed ?? Math.floor(Math.random() * 0x100000000)
+  const sessionIds = []
+  await enqueueWrite(async () => {
+    for (let i = 0; i < options.sessions; i++) {
+      const generated = generateSyntheticSession(options, { sessionId: uuidv4(), seed: (seed + i) >>> 0, config, source })
+      const segments = generated.segments.map(record => ({ ...record, syncState: SYNC_NEW }))
+      await dbWriteSessionBundle({ schemaVersion: SCHEMA_VERSION, ...generated.session }, segments, generated.pageMeta)
+      sessionIds.push(generated.session.sessionId)
+    }
+  })
+  checkStorage()
+  return { success: true, sessionIds }
+}
+
+// Deletes only what the collector has acknowledged. Sessions left with
+// no segments are dropped too, unless they are still being recorded; the
+// others note which flushes went (see deletedFlushRanges).
+async function clearSyncedData() {
+  await enqueueWrite(async () => {
+    const deleted = await deleteSyncedSegments()
+    const timestamp = Date.now()
+    for (const [sid, records] of deleted) {
+      if (!isActiveSession(sid) && await dbCountSegments(sid) === 0) {
+        await dbDeleteSession(sid)
+        continue
+      }
+      const session = await dbGetSession(sid)
+      if (!session) continue
+      session.deletedFlushes = [...(session.deletedFlushes || []), ...deletedFlushRanges(records, timestamp)]
+      await dbPutSession(session)
+    }
+  })
+}
+
+// ── Storage quota and retention (see retention.js) ──────────────────
+// Old sessions are rotated out by the retention policy, oldest first,
+// starting with ones already uploaded or exported. When storage is still
+// too full, recording pauses instead of failing writes; anything that
+// could not be written is held in memory and retried on resume. Past
+// MAX_HELD_WRITES the oldest are dropped; how many is kept apart from the
+// held writes and noted as a 'dropped-writes' quality event.
+const STORAGE_CHECK_WRITES = 25   // re-check usage after this many flushes
+const MAX_HELD_WRITES = 500
+
+const heldWrites = []   // { sid, write }
+const droppedWrites = new Map()   // sessionId → { timestamp, count }
+let writesSinceStorageCheck = 0
+let storageCheck = Promise.resolve()
+let storageStatus = null   // last storageLevel() result
+
+function storeOrHold(write) {
+  enqueueWrite(async () => {
+    try {
+      await write()
+    } catch (err) {
+      holdWrite(write, err)
+    }
+  })
+}
+
+function holdWrite(write, err) {
+  console.error('[TM background] storage write failed, holding it:', err)
+  const sid = sessionId
+  heldWrites.push({ sid, write })
+  // Storage is failing, so the error is noted once the held writes go in
+  const error = err && err.name ? `${err.name}: ${err.message}` : String(err)
+  heldWrites.push({ sid, write: qualityEventWrite(sid, { type: 'storage-error', error }) })
+  while (heldWrites.length > MAX_HELD_WRITES) {
+    const dropped = heldWrites.shift()
+    const counted = droppedWrites.get(dropped.sid) || { timestamp: Date.now(), count: 0 }
+    counted.count++
+    droppedWrites.set(dropped.sid, counted)
+    console.warn('[TM background] too many held writes, dropped the oldest')
+  }
+  pauseRecording(err && err.name === 'QuotaExceededError' ? 'storage-full' : 'write-failed')
+}
+
+// Resolves true once every held write is stored
+function retryHeldWrites() {
+  let done = false
+  return enqueueWrite(async () => {
+    while (heldWrites.length > 0) {
+      await heldWrites[0].write()
+      heldWrites.shift()
+    }
+    for (const [sid, { timestamp, count }] of droppedWrites) {
+      await qualityEventWrite(sid, { timestamp, type: 'dropped-writes', count })()
+      droppedWrites.delete(sid)
+    }
+    done = true
+  }).then(() => done)
+}
+
+// Content scripts stop (flushing what they have); the session stays open
+async function pauseRecording(reason) {
+  if (!recording || pauseReason) return
+  pauseReason = reason
+  await chrome.storage.session.set({ pauseReason })
+  console.warn(`[TM background] recording paused: ${reason}`)
+
+  updateSession(sessionId, session => {
+    session.pauses = session.pauses || []
+    session.pauses.push({ start: Date.now(), end: null, reason })
+  })
+  await stopContentScripts()
+}
+
+async function endPause() {
+  pauseReason = null
+  await chrome.storage.session.set({ pauseReason: null })
+  updateSession(sessionId, session => {
+    const last = (session.pauses || []).at(-1)
+    if (last && last.end === null) last.end = Date.now()
+  })
+}
+
+async function resumeRecording() {
+  if (!recording || !pauseReason) return { success: true }
+
+  storageStatus = await measureStorage(await loadRetention())
+  if (storageStatus.level === 'full') return { success: false, error: 'Storage is still full' }
+  if (!await retryHeldWrites()) return { success: false, error: 'Storage writes are still failing' }
+
+  await endPause()
+  await startContentScripts(sessionId)
+  return { success: true }
+}
+
+// Deletes sessions past the age / count / size limits; size rotation
+// frees space down to the warning threshold. Returns the number of
+// sessions evicted.
+async function enforceRetention(settings) {
+  const { maxAgeDays, maxSessions, maxTotalMB } = settings
+  if (!maxAgeDays && !maxSessions && !maxTotalMB) return 0
+
+  const sessions = (await dbGetAllSessions()).filter(s => !isActiveSession(s.sessionId))
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * DAY_MS : -Infinity
+  let remaining = sessions.length + (recording ? 1 : 0)
+  let excess = 0
+  if (maxTotalMB) {
+    const { usage, limit } = await measureStorage(settings)
+    excess = usage - limit * (settings.warnPercent / 100)
+  }
+
+  const overLimit = session =>
+    session.startTime < cutoff || (maxSessions && remaining > maxSessions) || excess > 0
+  if (!sessions.some(overLimit)) return 0
+
+  // Saved sessions first, oldest first (dbGetAllSessions is sorted)
+  const candidates = []
+  for (const session of sessions) {
+    const summary = await dbSummarizeSegments(session.sessionId)
+    const exported = session.exportedAt && session.exportedAt >= (summary.lastTimestamp ?? 0)
+    candidates.push({ session, bytes: summary.bytes, saved: summary.unsaved === 0 || exported })
+  }
+  const ordered = [
+    ...candidates.filter(c => c.saved),
+    ...(settings.evictUnsaved ? candidates.filter(c => !c.saved) : []),
+  ]
+
+  const evicted = []
+  for (const { session, bytes } of ordered) {
+    if (!overLimit(session)) continue
+    evicted.push(session.sessionId)
+    remaining--
+    excess -= bytes
+  }
+  if (evicted.length === 0) return 0
+
+  await deleteSessions(evicted)
+  await chrome.storage.local.set({
+    [RETENTION_STATUS_KEY]: { lastEvictedAt: Date.now(), lastEvictedCount: evicted.length },
+  })
+  console.info(`[TM background] retention evicted ${evicted.length} session(s)`)
+  return evicted.length
+}
+
+// Rotation walks every stored session, so it runs on the alarm, on
+// settings changes and before pausing rather than after every write
+async function runStorageCheck(rotate) {
+  writesSinceStorageCheck = 0
+  const settings = await loadRetention()
+  if (rotate) await enforceRetention(settings)
+  storageStatus = await measureStorage(settings)
+
+  if (storageStatus.level === 'full' && !rotate && await enforceRetention(settings) > 0) {
+    storageStatus = await measureStorage(settings)
+  }
+  if (storageStatus.level === 'full') {
+    await pauseRecording('storage-full')
+  } else if (pauseReason === 'storage-full' && storageStatus.level === 'ok') {
+    // Back under the warning threshold (e.g. after a clear): carry on
+    await resumeRecording()
+  }
+}
+
+// Checks run one after another, never side by side
+function checkStorage(rotate = false) {
+  storageCheck = storageCheck.then(() => runStorageCheck(rotate)).catch(err => {
+    console.error('[TM background] storage check error:', err)
+  })
+  return storageCheck
+}
+
+chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_ALARM_PERIOD_MIN })
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) restoreState().then(() => checkStorage(true))
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[RETENTION_STORAGE_KEY]) checkStorage(true)
+})
+
+// ── Automatic recording (see schedule.js) ───────────────────────────
+// With auto-record on, the browser starting (or the extension being
+// updated) picks up the session that was recording, or starts a new one,
+// when inside a recording window. A window opening starts a new session
+// and its end stops what the schedule started; recording started by hand
+// is left alone.
+async function applySchedule(startup = false) {
+  await restoreState()
+  const schedule = await loadSchedule()
+  await syncScheduleAlarm(schedule)
+  if (!schedule.autoRecord) return
+
+  const result = await chrome.storage.local.get(RECORDING_STATE_KEY)
+  const state = result[RECORDING_STATE_KEY]
+  const inWindow = isInRecordingWindow(schedule.windows)
+
+  if (inWindow && !recording) {
+    const interrupted = startup && schedule.onStartup === 'resume' && state && state.recording
+    await startRecording('schedule', interrupted ? state.sessionId : null)
+  } else if (!inWindow && recording && state && state.source === 'schedule') {
+    await stopRecording()
+  }
+}
+
+// One alarm, set for the next window start or end
+async function syncScheduleAlarm(schedule) {
+  const next = schedule.autoRecord ? nextWindowBoundary(schedule.windows) : null
+  if (next === null) {
+    await chrome.alarms.clear(SCHEDULE_ALARM)
+  } else {
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next })
+  }
+}
+
+chrome.runtime.onStartup.addListener(() => applySchedule(true))
+chrome.runtime.onInstalled.addListener(() => applySchedule(true))
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) applySchedule()
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SCHEDULE_STORAGE_KEY]) {
+    applySchedule()
+    loadSchedule().then(setIdleDetection)
+  }
+})
+
+// ── Collector upload (see upload.js) ────────────────────────────────
+let uploadCycle = null
+
+async function setUploadStatus(status) {
+  const result = await chrome.storage.local.get(UPLOAD_STATUS_KEY)
+  await chrome.storage.local.set({ [UPLOAD_STATUS_KEY]: { ...result[UPLOAD_STATUS_KEY], ...status } })
+}
+
+async function uploadPending() {
+  const settings = await getUploadSettings()
+  if (!settings.enabled || !settings.endpoint) return
+
+  await enqueueWrite(() => queueNewSegments(settings.batchSize))
+
+  const due = await getDueBatches(Date.now())
+  for (const batch of due) {
+    const records = await getBatchRecords(batch)
+    if (records.length === 0) {
+      // Its segments were deleted locally — nothing left to send
+      await enqueueWrite(() => deleteOutboxBatch(batch.batchId))
+      continue
+    }
+
+    try {
+      const session = await dbGetSession(batch.sessionId)
+      await postBatch(settings, buildBatchPayload(batch, session, records))
+      await enqueueWrite(() => markBatchSynced(batch))
+      await setUploadStatus({ lastSuccessAt: Date.now(), lastError: null })
+    } catch (err) {
+      await enqueueWrite(() => markBatchFailed(batch, err.message))
+      await setUploadStatus({ lastError: err.message, lastErrorAt: Date.now() })
+      // Collector unreachable — leave the remaining batches for later
+      break
+    }
+  }
+}
+
+// Only one cycle at a time; overlapping triggers share it
+function runUploadCycle() {
+  if (!uploadCycle) {
+    uploadCycle = uploadPending()
+      .catch(err => console.error('[TM background] upload error:', err))
+      .finally(() => { uploadCycle = null })
+  }
+  return uploadCycle
+}
+
+async function syncUploadAlarm() {
+  const settings = await getUploadSettings()
+  if (settings.enabled && settings.endpoint) {
+    await chrome.alarms.create(UPLOAD_ALARM, { periodInMinutes: UPLOAD_ALARM_PERIOD_MIN })
+  } else {
+    await chrome.alarms.clear(UPLOAD_ALARM)
+  }
+}
+
+async function getUploadSummary() {
+  const settings = await getUploadSettings()
+  if (!settings.enabled) return { enabled: false }
+
+  const counts = await getUploadCounts()
+  const result = await chrome.storage.local.get(UPLOAD_STATUS_KEY)
+  const status = result[UPLOAD_STATUS_KEY] || {}
+  return {
+    enabled: true,
+    pending: counts.pending,
+    uploaded: counts.uploaded,
+    lastSuccessAt: status.lastSuccessAt || null,
+    lastError: status.lastError || null,
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === UPLOAD_ALARM) runUploadCycle()
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[UPLOAD_SETTINGS_KEY]) {
+    syncUploadAlarm()
+    runUploadCycle()
+  }
+})
+
+// ── Sampling config changes mid-session ─────────────────────────────
+// Content scripts apply new config live; note when it happened so each
+// part of the session can be traced back to how it was sampled.
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !changes[CONFIG_STORAGE_KEY]) return
+  await restoreState()
+  if (!recording || !sessionId) return
+
+  const config = validateConfig(changes[CONFIG_STORAGE_KEY].newValue).config
+  updateSession(sessionId, session => {
+    session.configChanges = session.configChanges || []
+    session.configChanges.push({ timestamp: Date.now(), config })
+  })
+})
+
+// Same for privacy settings; the patterns themselves are not recorded
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'local' && changes[PRIVACY_SALT_KEY]) privacyRedactor = null
+  if (areaName !== 'sync' || !changes[PRIVACY_STORAGE_KEY]) return
+  privacyRedactor = null
+  await restoreState()
+  if (!recording || !sessionId) return
+
+  const privacy = privacySummary(validatePrivacy(changes[PRIVACY_STORAGE_KEY].newValue).settings)
+  updateSession(sessionId, session => {
+    session.privacyChanges = session.privacyChanges || []
+    session.privacyChanges.push({ timestamp: Date.now(), privacy })
+  })
+})
+
+syncUploadAlarm()
+
 // ── Message handling ────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   // Ensure state is restored before handling messages
@@ -277,27 +1169,43 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     switch (msg.type) {
       case 'telemetry':
         msg.tabId = tabId
+        Object.assign(msg, frameContext(msg, sender, await getRedactor()))
         storeTelemetry(msg)
         return { success: true }
 
       case 'page_meta':
+        msg.tabId = tabId
+        Object.assign(msg, frameContext(msg, sender, await getRedactor()))
         storePageMeta(msg)
         return { success: true }
 
       case 'content_ready':
-        if (recording && sessionId && tabId) {
-          try {
-            await chrome.tabs.sendMessage(tabId, { type: 'start_recording', sessionId })
-          } catch { /* ignore */ }
+        if (recording && !pauseReason && sessionId && tabId) {
+          // Both the frame and the page embedding it must be allowed
+          const siteRules = await loadSiteRules()
+          const frameId = sender.frameId ?? 0
+          const allowed = isUrlAllowed(sender.url, siteRules) &&
+                          (frameId === 0 || isUrlAllowed(sender.tab.url, siteRules))
+          if (allowed) {
+            try {
+              await chrome.tabs.sendMessage(tabId, { type: 'start_recording', sessionId }, { frameId })
+            } catch { /* ignore */ }
+          }
         }
         return { success: true }
 
       case 'popup_get_status':
+        storageStatus = await measureStorage(await loadRetention())
         return {
           recording,
+          pauseReason,
+          storage: storageStatus,
+          heldWrites: heldWrites.length,
           sessionId,
           totalEvents,
           segmentCount,
+          exportProgress,
+          upload: await getUploadSummary(),
         }
 
       case 'popup_start':
@@ -308,11 +1216,67 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         await stopRecording()
         return { success: true }
 
+      case 'popup_resume':
+        return await resumeRecording()
+
+      case 'popup_add_marker':
+        return await addMarker(msg.label ?? null, 'popup')
+
+      case 'popup_get_tab_statuses':
+        return { success: true, tabs: await getTabStatuses() }
+
+      case 'popup_inject_tab':
+        return await injectAndStart(msg.tabId)
+
       case 'popup_export':
-        return await exportData()
+      case 'manager_export':
+        return await exportData({
+          format: msg.format,
+          perSession: msg.perSession,
+          sessionIds: msg.sessionIds,
+          includeFeatures: msg.includeFeatures,
+        })
+
+      case 'export_progress':
+        if (exportProgress && exportProgress.exportId === msg.exportId) {
+          exportProgress = { exportId: msg.exportId, done: msg.done, total: msg.total }
+        }
+        return { success: true }
+
+      case 'get_session_annotation': {
+        const session = await dbGetSession(msg.sessionId)
+        if (!session) return { success: false, error: 'Session not found' }
+        return { success: true, annotation: sessionAnnotation(session) }
+      }
+
+      case 'annotate_session':
+        return await annotateSession(msg.sessionId, msg.annotation)
+
+      case 'manager_delete_sessions': {
+        const result = await deleteSessions(msg.sessionIds || [])
+        checkStorage()
+        return result
+      }
+
+      case 'manager_merge_sessions':
+        return await mergeSessions(msg.sessionIds || [])
+
+      case 'manager_import_session':
+        return await importSessionHeader(msg.sessionId, msg.header, msg.source)
+
+      case 'manager_import_segments':
+        return await importSegments(msg.sessionId, msg.segments || [])
+
+      case 'manager_generate_synthetic':
+        return await generateSyntheticSessions(msg.options)
 
       case 'popup_clear':
-        await clearData()
+        if (msg.syncedOnly) {
+          await clearSyncedData()
+        } else {
+          await clearData()
+        }
+        checkStorage()
         return { success: true }
 
       default:
@@ -332,24 +1296,251 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true // keep message channel open for async sendResponse
 })
 
-// ── System idle detection (secondary signal) ────────────────────────
-try {
-  chrome.idle.setDetectionInterval(15)
+// ── Live tab status (popup) ─────────────────────────────────────────
+// Each tab the site rules allow is asked for its top frame's state. A tab
+// whose content script doesn't answer was open before the extension was
+// installed or reloaded (or is discarded); the popup offers to inject it.
+const TAB_STATUS_TIMEOUT_MS = 500
+
+async function queryTabStatus(tab) {
+  const query = chrome.tabs.sendMessage(tab.id, { type: 'get_status' }, { frameId: 0 }).catch(() => null)
+  const timeout = new Promise(resolve => setTimeout(() => resolve(null), TAB_STATUS_TIMEOUT_MS))
+  const status = await Promise.race([query, timeout])
+
+  const base = { tabId: tab.id, windowId: tab.windowId, title: tab.title || tab.url, active: tab.active }
+  if (!status) return { ...base, state: 'not-injected' }
+
+  let state = 'active'
+  if (!status.recording || (sessionId && status.sessionId !== sessionId)) state = 'stopped'
+  else if (status.hidden) state = 'hidden'
+  else if (status.isIdle) state = 'idle'
+  return {
+    ...base,
+    state,
+    segmentId: status.segmentId,
+    bufferSizes: status.bufferSizes,
+    eventRates: status.eventRates || [],
+  }
+}
+
+async function getTabStatuses() {
+  const siteRules = await loadSiteRules()
+  const tabs = (await chrome.tabs.query({})).filter(tab => tab.id && isUrlAllowed(tab.url, siteRules))
+  return Promise.all(tabs.map(queryTabStatus))
+}
+
+// Runs in each frame's isolated world: true where the content scripts
+// already run, declaratively or from an earlier injection
+function hasContentScript() {
+  return Boolean(window.__tmContentScript)
+}
+
+// Injects the content scripts listed in the manifest into the frames of a
+// tab that don't have them, starting a session first if none is
+// recording. Frames that do are skipped: the scripts' top-level consts
+// can't be declared twice. The injected script announces itself and
+// joins the session like any freshly loaded page.
+async function injectAndStart(tabId) {
+  const tab = await chrome.tabs.get(tabId)
+  if (!tab || !isUrlAllowed(tab.url, await loadSiteRules())) {
+    return { success: false, error: 'This tab is not recorded by the site rules' }
+  }
+  if ((await queryTabStatus(tab)).state !== 'not-injected') return { success: true }
+
+  if (!recording) await startRecording()
+  const [contentScript] = chrome.runtime.getManifest().content_scripts
+  try {
+    const probes = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: hasContentScript })
+    const frameIds = probes.filter(probe => probe.result === false).map(probe => probe.frameId)
+    if (frameIds.length === 0) return { success: true }
+
+    const results = await chrome.scripting.executeScript({ target: { tabId, frameIds }, files: contentScript.js })
+    const failed = results.find(result => result.error)
+    if (failed) return { success: false, error: `Could not inject: ${failed.error.message || failed.error}` }
+    return { success: true }
+  } catch (err) {
+    return { success: false, error: `Could not inject: ${err.message}` }
+  }
+}
+
+// ── Markers and keyboard shortcuts ──────────────────────────────────
+// A marker goes to the active tab's top frame, which adds it to its
+// segment stream (see content.js). When that tab isn't recording (a
+// browser page, a blocked site) it is kept on the browser timeline as a
+// 'marker' event instead, so no marker is lost.
+async function addMarker(label, source) {
+  await restoreState()
+  if (!recording || !sessionId) return { success: false, error: 'Not recording' }
+  if (pauseReason) return { success: false, error: 'Recording is paused' }
+  if (label !== null && !(await loadMarkerLabels()).includes(label)) {
+    return { success: false, error: `Unknown marker label: ${label}` }
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true })
+  if (tab) {
+    try {
+      const reply = await chrome.tabs.sendMessage(tab.id, { type: 'add_marker', label, source }, { frameId: 0 })
+      if (reply && reply.success) return { success: true, tabId: tab.id }
+    } catch { /* no content script in this tab */ }
+  }
+
+  const tabId = tab ? tab.id : null
+  recordBrowserEvent({ type: 'marker', tabId, windowId: tab ? tab.windowId : null, label, source })
+  return { success: true, tabId }
+}
+
+// The label picked in the popup, if it is still configured
+async function shortcutMarkerLabel() {
+  const result = await chrome.storage.local.get(MARKER_SHORTCUT_LABEL_KEY)
+  const label = result[MARKER_SHORTCUT_LABEL_KEY]
+  return (await loadMarkerLabels()).includes(label) ? label : null
+}
 
+// Shortcuts have no UI of their own; the toolbar badge confirms them
+function flashBadge(text, color) {
+  chrome.action.setBadgeBackgroundColor({ color })
+  chrome.action.setBadgeText({ text })
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 1500)
+}
+
+// manifest.json "commands"; each returns a { success } result
+const SHORTCUT_COMMANDS = {
+  'toggle-recording': async () => {
+    if (recording) await stopRecording()
+    else await startRecording()
+    return { success: true }
+  },
+  'toggle-pause': async () => {
+    if (!recording) return { success: false, error: 'Not recording' }
+    if (pauseReason) return await resumeRecording()
+    await pauseRecording('manual')
+    return { success: true }
+  },
+  'add-marker': async () => addMarker(await shortcutMarkerLabel(), 'shortcut'),
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  const run = SHORTCUT_COMMANDS[command]
+  if (!run) return
+  restoreState()
+    .then(run)
+    .then(result => {
+      if (!result.success) console.warn(`[TM background] ${command}: ${result.error}`)
+      flashBadge(result.success ? 'OK' : '!', result.success ? '#2b8a3e' : '#e03131')
+    })
+    .catch(err => console.error(`[TM background] ${command} error:`, err))
+})
+
+// ── Browser context timeline ────────────────────────────────────────
+// What the browser saw while a session recorded: tab focus, tabs opening
+// and closing, committed navigations, window focus and system idle.
+// Stored as typed events { type, timestamp, tabId, windowId, ... } in
+// the browserEvents store and exported with the session. URLs are
+// redacted like page URLs; sites the site rules exclude keep no URL.
+// Events are chained so they are stored in the order they happened.
+let browserEventChain = Promise.resolve()
+
+function recordBrowserEvent(event) {
+  const timestamp = Date.now()
+  browserEventChain = browserEventChain
+    .then(() => storeBrowserEvent(timestamp, event))
+    .catch(err => console.error('[TM background] browser event error:', err))
+}
+
+async function storeBrowserEvent(timestamp, event) {
+  await restoreState()
+  if (!recording || !sessionId || pauseReason) return
+
+  const record = { sessionId, timestamp, ...event }
+  if (event.url !== undefined) record.url = await browserEventUrl(event.url)
+  storeOrHold(() => dbAddBrowserEvent(record))
+}
+
+async function browserEventUrl(url) {
+  if (!url || !isUrlAllowed(url, await loadSiteRules())) return null
+  return (await getRedactor()).url(url)
+}
+
+// The timeline opens with the tab that had focus when recording started
+async function recordFocusedTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true })
+    if (tab) recordBrowserEvent({ type: 'tab_activated', tabId: tab.id, windowId: tab.windowId })
+  } catch { /* no focused window */ }
+}
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  recordBrowserEvent({ type: 'tab_activated', tabId, windowId })
+})
+
+chrome.tabs.onCreated.addListener((tab) => {
+  recordBrowserEvent({ type: 'tab_created', tabId: tab.id, windowId: tab.windowId, openerTabId: tab.openerTabId ?? null })
+})
+
+// A changed URL is a committed navigation (including SPA route changes)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    recordBrowserEvent({ type: 'tab_navigated', tabId, windowId: tab.windowId, url: changeInfo.url })
+  }
+  if (changeInfo.status === 'complete') {
+    recordBrowserEvent({ type: 'tab_loaded', tabId, windowId: tab.windowId })
+  }
+})
+
+chrome.tabs.onRemoved.addListener((tabId, { windowId, isWindowClosing }) => {
+  recordBrowserEvent({ type: 'tab_removed', tabId, windowId, isWindowClosing })
+})
+
+// windowId is null when no browser window has focus
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  recordBrowserEvent({
+    type: 'window_focus',
+    tabId: null,
+    windowId: windowId === chrome.windows.WINDOW_ID_NONE ? null : windowId,
+  })
+})
+
+// ── System idle and screen lock ─────────────────────────────────────
+// Content scripts segment on their own idle gaps; the system going idle
+// or locking also pauses recording in every tab (unless turned off in the
+// schedule settings), and it resumes once the user is back. Pauses are
+// kept in the session's pauses list with reason 'idle' or 'locked'.
+const IDLE_PAUSE_REASONS = ['idle', 'locked']
+
+function setIdleDetection(schedule) {
+  try {
+    chrome.idle.setDetectionInterval(schedule.idleSeconds)
+  } catch { /* idle API may not be available in all contexts */ }
+}
+
+async function handleIdleState(state) {
+  await restoreState()
+  const event = { type: 'idle', tabId: null, windowId: null, state }
+
+  if (state === 'active') {
+    if (IDLE_PAUSE_REASONS.includes(pauseReason)) await resumeAfterIdle()
+    recordBrowserEvent(event)
+    return
+  }
+
+  // Stored before the pause, which drops browser events
+  recordBrowserEvent(event)
+  await browserEventChain
+  if ((await loadSchedule()).pauseOnIdle) await pauseRecording(state)
+}
+
+// Storage may have filled up meanwhile; then stay paused for that reason
+async function resumeAfterIdle() {
+  const result = await resumeRecording()
+  if (result.success) return
+  await endPause()
+  await pauseRecording(storageStatus && storageStatus.level === 'full' ? 'storage-full' : 'write-failed')
+}
+
+try {
   chrome.idle.onStateChanged.addListener((state) => {
-    if (!recording) return
-
-    if (state === 'idle' || state === 'locked') {
-      if (sessionId) {
-        storePageMeta({
-          url: 'system',
-          hostname: 'system',
-          clientHints: null,
-          network: null,
-          timestamp: Date.now(),
-          idleState: state,
-        })
-      }
-    }
+    handleIdleState(state).catch(err => console.error('[TM background] idle state error:', err))
   })
 } catch { /* idle API may not be available in all contexts */ }
+
+loadSchedule().then(setIdleDetection)
@@ -0,0 +1,122 @@
+// TicketMonarch Telemetry Collector — Sampling Configuration
+// Shared by the content script, the background worker and the options
+// page. The effective config lives in chrome.storage.sync so every
+// collector machine signed into the same profile samples the same way.
+
+'use strict'
+
+const CONFIG_STORAGE_KEY = 'telemetryConfig'   // chrome.storage.sync
+
+// Non-sensitive special keys worth logging for behavioral analysis.
+// Letters, digits, and modifiers (Shift, Ctrl, Alt, Meta) are excluded,
+// and validation never lets a config add them back.
+const LOGGABLE_KEY_CHOICES = [
+  'Backspace', 'Delete', 'Tab', 'Enter', 'Escape',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+  'Home', 'End', 'PageUp', 'PageDown',
+  'Insert', 'CapsLock', 'NumLock', 'ScrollLock',
+  'ContextMenu', 'PrintScreen', 'Pause',
+  'F1', 'F2', 'F3', 'F4', 'F5', 'F6',
+  'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+]
+
+const DEFAULT_CONFIG = {
+  mouseSampleIntervalMs: 15,   // ~66 Hz sampling
+  flushIntervalMs: 5000,       // send buffers every 5s
+  idleThresholdMs: 3000,       // 3s inactivity → end segment
+  scrollThrottleMs: 50,        // ~20 Hz scroll sampling
+  loggableKeys: LOGGABLE_KEY_CHOICES,
+  captureFrames: false,        // also record inside iframes (opt-in)
+}
+
+// [min, max] for each numeric setting
+const CONFIG_LIMITS = {
+  mouseSampleIntervalMs: [4, 1000],
+  flushIntervalMs: [1000, 60000],    // flush timer ticks once a second
+  idleThresholdMs: [1000, 600000],
+  scrollThrottleMs: [0, 5000],
+}
+
+// Settings a preset controls; the rest keep whatever the user chose
+const PRESET_KEYS = [...Object.keys(CONFIG_LIMITS), 'loggableKeys']
+
+const CONFIG_PRESETS = {
+  default: {
+    label: 'Default',
+    config: DEFAULT_CONFIG,
+  },
+  'high-fidelity': {
+    label: 'High fidelity',
+    config: {
+      ...DEFAULT_CONFIG,
+      mouseSampleIntervalMs: 8,    // ~125 Hz
+      flushIntervalMs: 3000,
+      idleThresholdMs: 5000,
+      scrollThrottleMs: 16,
+    },
+  },
+  'low-overhead': {
+    label: 'Low overhead',
+    config: {
+      ...DEFAULT_CONFIG,
+      mouseSampleIntervalMs: 50,   // 20 Hz
+      flushIntervalMs: 15000,
+      idleThresholdMs: 3000,
+      scrollThrottleMs: 200,
+    },
+  },
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+// Returns { config, errors }. `config` is always usable: any field that
+// fails validation falls back to its default.
+function validateConfig(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const config = { ...DEFAULT_CONFIG }
+  const errors = []
+
+  for (const [name, [min, max]] of Object.entries(CONFIG_LIMITS)) {
+    if (input[name] === undefined) continue
+    const value = input[name]
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} must be a whole number between ${min} and ${max}`)
+    } else {
+      config[name] = value
+    }
+  }
+
+  if (input.loggableKeys !== undefined) {
+    if (!Array.isArray(input.loggableKeys)) {
+      errors.push('loggableKeys must be a list of key names')
+    } else {
+      const unknown = input.loggableKeys.filter(k => !LOGGABLE_KEY_CHOICES.includes(k))
+      if (unknown.length > 0) errors.push(`Keys not allowed for logging: ${unknown.join(', ')}`)
+      config.loggableKeys = LOGGABLE_KEY_CHOICES.filter(k => input.loggableKeys.includes(k))
+    }
+  }
+
+  if (input.captureFrames !== undefined) {
+    if (typeof input.captureFrames !== 'boolean') {
+      errors.push('captureFrames must be true or false')
+    } else {
+      config.captureFrames = input.captureFrames
+    }
+  }
+
+  return { config, errors }
+}
+
+// Name of the preset the config matches, or null for custom
+function matchPreset(config) {
+  for (const [name, preset] of Object.entries(CONFIG_PRESETS)) {
+    const same = PRESET_KEYS.every(key =>
+      JSON.stringify(preset.config[key]) === JSON.stringify(config[key]))
+    if (same) return name
+  }
+  return null
+}
+
+async function loadConfig() {
+  const result = await chrome.storage.sync.get(CONFIG_STORAGE_KEY)
+  return validateConfig(result[CONFIG_STORAGE_KEY]).config
+}
@@ -0,0 +1,170 @@
+// TicketMonarch Telemetry Collector — Segment Consolidation
+// Shared by the background worker and extension pages. Content scripts
+// flush every few seconds, so one behavioral segment is stored as
+// several consecutive flush records; exports merge them back together.
+
+'use strict'
+
+// Event arrays carried by every flush record and merged segment
+const EVENT_TYPES = ['mouse', 'clicks', 'keystrokes', 'scroll', 'pointer', 'touch', 'wheel', 'buttons', 'composition', 'navigation', 'markers']
+
+// Streaming merger: push stored flush records in insertion order and
+// onSegment is called with each merged segment once it is complete.
+// Flushes are merged per (tab, frame) stream, so two tabs or an iframe
+// recording side by side don't break each other's segments apart.
+// Records moved in by a session merge stream separately per origin, and
+// a new page load (new timeOrigin) always starts a new segment.
+function createSegmentMerger(onSegment) {
+  const open = new Map()   // stream key → segment being merged
+
+  function push(seg) {
+    const key = `${seg.mergedFrom ?? ''}:${seg.tabId}:${seg.frameId ?? 0}`
+    const currentSeg = open.get(key)
+
+    if (currentSeg && currentSeg.segmentId === seg.segmentId &&
+        currentSeg.timeOrigin === (seg.timeOrigin ?? null)) {
+      for (const type of EVENT_TYPES) currentSeg[type].push(...(seg[type] || []))
+      currentSeg.endTime = seg.timestamp
+      noteFrameOffset(currentSeg, seg)
+    } else {
+      if (currentSeg) onSegment(currentSeg)
+      const merged = {
+        segmentId: seg.segmentId,
+        tabId: seg.tabId,
+        frameId: seg.frameId ?? 0,
+        url: seg.url,
+        hostname: seg.hostname,
+        frameUrl: seg.frameUrl ?? seg.url,
+        frameOffset: seg.frameOffset ?? null,
+        timeOrigin: seg.timeOrigin ?? null,
+        startTime: seg.startTime ?? seg.timestamp,   // imported records carry both
+        endTime: seg.timestamp,
+      }
+      if (seg.mergedFrom) merged.mergedFrom = seg.mergedFrom
+      if (seg.frameOffsetChanges) merged.frameOffsetChanges = [...seg.frameOffsetChanges]
+      // Records stored before a type existed simply lack the field
+      for (const type of EVENT_TYPES) merged[type] = [...(seg[type] || [])]
+      open.set(key, merged)
+    }
+  }
+
+  function end() {
+    for (const seg of open.values()) onSegment(seg)
+    open.clear()
+  }
+
+  return { push, end }
+}
+
+// An iframe can move mid-segment (layout, parent scroll). Keep the first
+// offset on the segment and list later moves with their flush time.
+function noteFrameOffset(merged, seg) {
+  if (!seg.frameOffset) return
+  if (!merged.frameOffset) {
+    merged.frameOffset = seg.frameOffset
+    return
+  }
+
+  const changes = merged.frameOffsetChanges || []
+  const last = changes.length ? changes[changes.length - 1] : merged.frameOffset
+  if (last.x !== seg.frameOffset.x || last.y !== seg.frameOffset.y) {
+    changes.push({ timestamp: seg.timestamp, x: seg.frameOffset.x, y: seg.frameOffset.y })
+    merged.frameOffsetChanges = changes
+  }
+}
+
+// ── Absolute time ───────────────────────────────────────────────────
+// Event `t` values are the page's performance.now(), counted from the
+// page's timeOrigin (epoch ms), so timeOrigin + t places an event on the
+// clock shared by every tab and frame. Records from before pages
+// reported timeOrigin are anchored so their last event falls on the
+// segment's final flush (endTime), which is accurate to about a flush.
+// Returns t → epoch milliseconds for one merged segment.
+function segmentClock(seg) {
+  if (typeof seg.timeOrigin === 'number') return t => seg.timeOrigin + t
+
+  let last = -Infinity
+  for (const type of EVENT_TYPES) {
+    for (const event of seg[type] || []) {
+      if (typeof event.t === 'number' && event.t > last) last = event.t
+    }
+  }
+  const offset = last === -Infinity ? 0 : seg.endTime - last
+  return t => offset + t
+}
+
+// ── Tab timelines ───────────────────────────────────────────────────
+// Groups a session's merged segments by tab: the frames seen in each tab
+// and one chronological timeline across all of them.
+function createTabTimelineCollector() {
+  const tabs = new Map()
+
+  function add(seg) {
+    const tabKey = String(seg.tabId)
+    if (!tabs.has(tabKey)) tabs.set(tabKey, { tabId: seg.tabId, frames: new Map(), timeline: [] })
+    const tab = tabs.get(tabKey)
+
+    if (!tab.frames.has(seg.frameId)) {
+      tab.frames.set(seg.frameId, {
+        frameId: seg.frameId,
+        frameUrl: seg.frameUrl,
+        frameOffset: seg.frameOffset,
+      })
+    }
+
+    tab.timeline.push({
+      frameId: seg.frameId,
+      segmentId: seg.segmentId,
+      startTime: seg.startTime,
+      endTime: seg.endTime,
+    })
+  }
+
+  function result() {
+    return [...tabs.values()].map(tab => ({
+      tabId: tab.tabId,
+      frames: [...tab.frames.values()].sort((a, b) => a.frameId - b.frameId),
+      timeline: tab.timeline.sort((a, b) => a.startTime - b.startTime),
+    }))
+  }
+
+  return { add, result }
+}
+
+// Identifies a merged segment across exports and imports. segmentIds
+// restart with every page load, so the start time is part of the key.
+function segmentIdentity(seg) {
+  return `${seg.mergedFrom ?? ''}:${seg.tabId}:${seg.frameId ?? 0}:${seg.segmentId}:${seg.startTime}`
+}
+
+// Event counts per type; equal identities with different counts conflict
+function segmentFingerprint(seg) {
+  return EVENT_TYPES.map(type => (seg[type] || []).length).join(',')
+}
+
+function mergeSegments(segments) {
+  const merged = []
+  const merger = createSegmentMerger(seg => merged.push(seg))
+  for (const seg of segments) merger.push(seg)
+  merger.end()
+  return merged
+}
+
+// ── Export formats ──────────────────────────────────────────────────
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  features_csv: { extension: 'features.csv', mimeType: 'text/csv' },
+  features_json: { extension: 'features.json', mimeType: 'application/json' },
+  csv_zip: { extension: 'csv.zip', mimeType: 'application/zip' },
+  timeline_ndjson: { extension: 'timeline.ndjson', mimeType: 'application/x-ndjson' },
+}
+
+// One CSV line; fields with commas, quotes or newlines are quoted
+function csvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return ''
+    const text = String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }).join(',') + '\n'
+}
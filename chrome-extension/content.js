@@ -1,28 +1,29 @@
 // TicketMonarch Telemetry Collector — Content Script
-// Injected into every page. Captures mouse, clicks, keystrokes, scroll,
-// client hints, and network metadata. Segments data around idle gaps
-// so training data stays temporally coherent.
+// Injected into every page. Captures mouse, clicks, keystrokes, IME
+// composition, scroll, pointer/pen, touch, wheel and mouse button input,
+// client hints, network metadata and operator markers. Segments data
+// around idle gaps and single-page-app route changes so training data
+// stays temporally coherent and every segment belongs to one URL.
+// Sampling parameters come from config.js / chrome.storage.sync and apply
+// live. URLs and click target details are redacted per privacy.js before
+// anything is sent.
 
 (() => {
   'use strict'
 
+  // The popup's "Inject & start" skips frames that already have this, but
+  // a page can load its own copy in between; one copy per frame
+  if (window.__tmContentScript) return
+  window.__tmContentScript = true
+
   // ── Configuration ──────────────────────────────────────────────────
-  const MOUSE_SAMPLE_INTERVAL_MS = 15   // ~66 Hz sampling
-  const FLUSH_INTERVAL_MS = 5000        // send buffers every 5s
-  const IDLE_THRESHOLD_MS = 3000        // 3s inactivity → end segment
-  const SCROLL_THROTTLE_MS = 50         // ~20 Hz scroll sampling
-
-  // Non-sensitive special keys worth logging for behavioral analysis.
-  // Letters, digits, and modifiers (Shift, Ctrl, Alt, Meta) are excluded.
-  const LOGGABLE_KEYS = new Set([
-    'Backspace', 'Delete', 'Tab', 'Enter', 'Escape',
-    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
-    'Home', 'End', 'PageUp', 'PageDown',
-    'Insert', 'CapsLock', 'NumLock', 'ScrollLock',
-    'ContextMenu', 'PrintScreen', 'Pause',
-    'F1', 'F2', 'F3', 'F4', 'F5', 'F6',
-    'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
-  ])
+  // Replaced by the stored config (see config.js) as soon as it loads
+  let config = { ...DEFAULT_CONFIG }
+  let loggableKeys = new Set(config.loggableKeys)
+  let siteRules = DEFAULT_SITE_RULES
+  let privacy = DEFAULT_PRIVACY
+  let privacySalt = ''
+  let redactor = createRedactor(privacy, privacySalt)
 
   // ── State ──────────────────────────────────────────────────────────
   let recording = false
@@ -34,14 +35,29 @@
   let clickBuffer = []
   let keystrokeBuffer = []
   let scrollBuffer = []
+  let pointerBuffer = []
+  let touchBuffer = []
+  let wheelBuffer = []
+  let buttonBuffer = []
+  let compositionBuffer = []
+  let navigationBuffer = []
+  let markerBuffer = []
 
   let lastMouseEvent = null
   let lastInteractionTime = performance.now()
   let lastClickTimestamp = null
   let lastKeyTimestampByField = {}
+  let openKeyPresses = {}
+  let lastCompositionTimestamp = null
   let lastScrollTimestamp = null
   let lastScrollX = window.scrollX
   let lastScrollY = window.scrollY
+  let lastPointerMoveByPointer = {}
+  let lastTouchMoveTimestamp = null
+  let lastWheelTimestamp = null
+  let lastButtonTimestamp = null
+  let buttonDownAt = {}
+  let lastInput = { kind: null, t: 0 }
 
   let mouseIntervalId = null
   let flushIntervalId = null
@@ -49,6 +65,26 @@
   let isIdle = false
   let pageVisible = true
 
+  // Events captured per second over the last RATE_HISTORY_SECONDS, for
+  // the popup's live view
+  const RATE_HISTORY_SECONDS = 30
+  let eventsSent = 0
+  let eventsAtLastSample = 0
+  let eventRates = []
+
+  // Flushes that carry events are numbered from 1 per session, under an
+  // id for this script's run, so the background can tell lost and
+  // repeated flushes apart (see quality.js)
+  let flushSeq = 0
+  let seqStream = null
+
+  // URL the current segment was recorded under; flushes use it rather
+  // than the live location, which may already have moved on
+  let currentHref = window.location.href
+
+  const isTopFrame = window === window.top
+  let frameOffset = isTopFrame ? { x: 0, y: 0 } : null
+
   // ── Client Hints (collected once) ─────────────────────────────────
   function collectClientHints() {
     const hints = {
@@ -102,6 +138,59 @@
     return meta
   }
 
+  // ── Frame geometry (iframes only) ─────────────────────────────────
+  // A frame can't see where it sits in a cross-origin parent, so each
+  // frame asks its parent over postMessage. The parent finds the <iframe>
+  // element, adds its content-box position to its own offset and replies,
+  // so offsets chain all the way up to the top-level viewport.
+  const FRAME_MESSAGE_KEY = '__tmFrameOffset'
+
+  function requestFrameOffset() {
+    if (isTopFrame) return
+    try {
+      window.parent.postMessage({ [FRAME_MESSAGE_KEY]: 'request' }, '*')
+    } catch { /* detached frame */ }
+  }
+
+  function findChildFrameElement(source) {
+    for (const el of document.querySelectorAll('iframe, frame')) {
+      if (el.contentWindow === source) return el
+    }
+    return null
+  }
+
+  function handleFrameMessage(event) {
+    const data = event.data
+    if (!data || typeof data !== 'object' || !data[FRAME_MESSAGE_KEY]) return
+
+    if (data[FRAME_MESSAGE_KEY] === 'request') {
+      const frameEl = findChildFrameElement(event.source)
+      if (!frameEl) return
+      // Keep our own offset fresh for the next request down the chain
+      requestFrameOffset()
+      if (!frameOffset) return
+
+      const rect = frameEl.getBoundingClientRect()
+      const style = getComputedStyle(frameEl)
+      event.source.postMessage({
+        [FRAME_MESSAGE_KEY]: 'offset',
+        x: frameOffset.x + rect.left + frameEl.clientLeft + (parseFloat(style.paddingLeft) || 0),
+        y: frameOffset.y + rect.top + frameEl.clientTop + (parseFloat(style.paddingTop) || 0)
+      }, '*')
+    } else if (data[FRAME_MESSAGE_KEY] === 'offset' && event.source === window.parent) {
+      frameOffset = { x: data.x, y: data.y }
+    }
+  }
+
+  // Always listening, so child frames get answers even while this frame
+  // itself isn't recording
+  window.addEventListener('message', handleFrameMessage)
+
+  // Frames only record when frame capture is switched on
+  function frameMayRecord() {
+    return isTopFrame || config.captureFrames
+  }
+
   // ── Interaction timestamp updater ─────────────────────────────────
   function touchInteraction() {
     lastInteractionTime = performance.now()
@@ -121,18 +210,33 @@
     clickBuffer = []
     keystrokeBuffer = []
     scrollBuffer = []
+    pointerBuffer = []
+    touchBuffer = []
+    wheelBuffer = []
+    buttonBuffer = []
+    compositionBuffer = []
+    navigationBuffer = []
+    markerBuffer = []
     lastClickTimestamp = null
     lastKeyTimestampByField = {}
+    openKeyPresses = {}
+    lastCompositionTimestamp = null
     lastScrollTimestamp = null
+    lastPointerMoveByPointer = {}
+    lastTouchMoveTimestamp = null
+    lastWheelTimestamp = null
+    lastButtonTimestamp = null
+    buttonDownAt = {}
 
     // Restart mouse sampling if it was stopped
     if (!mouseIntervalId) {
-      mouseIntervalId = setInterval(sampleMousePosition, MOUSE_SAMPLE_INTERVAL_MS)
+      mouseIntervalId = setInterval(sampleMousePosition, config.mouseSampleIntervalMs)
     }
   }
 
   function endCurrentSegment() {
     // Flush whatever we have in the current segment
+    releaseOpenKeyPresses()
     flushBuffers(true)
 
     // Stop mouse sampling while idle
@@ -196,11 +300,57 @@
     })
   }
 
+  // Applied at flush time, so a privacy change covers buffered clicks too
+  function redactClick(click) {
+    if (!click.target) return click
+    const target = click.target
+    return {
+      ...click,
+      target: {
+        ...target,
+        id: redactor.name(target.id),
+        classes: redactor.name(target.classes),
+        name: redactor.name(target.name),
+        text: redactor.text(target.text)
+      }
+    }
+  }
+
   // ── Keystroke tracking (timing + non-sensitive special keys) ──────
   // Captures ALL keystrokes on the page (not just form fields) because
   // behavioral patterns like typing rhythm exist everywhere — search bars,
-  // contenteditable divs, shortcut keys, etc. Only timing + special key
-  // names are logged; actual characters are never recorded.
+  // contenteditable divs, shortcut keys, etc. Only timing, a coarse key
+  // category and special key names are logged; actual characters are
+  // never recorded.
+  //
+  // Each press is one record, paired by event.code from keydown to keyup
+  // and pushed on release with its hold duration. Auto-repeat keydowns
+  // are folded into the held press. event.code itself is never stored.
+
+  // Categories match KEY_CATEGORIES in features.js
+  const MODIFIER_KEYS = new Set([
+    'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'Fn', 'FnLock',
+    'Hyper', 'Super', 'Symbol', 'SymbolLock', 'CapsLock', 'NumLock', 'ScrollLock'
+  ])
+  const NAVIGATION_KEYS = new Set([
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', 'Tab'
+  ])
+  const EDITING_KEYS = new Set(['Backspace', 'Delete', 'Enter', 'Insert'])
+
+  function keyCategory(event) {
+    const key = event.key
+    if (event.isComposing || key === 'Process') return 'ime'
+    if (key && [...key].length === 1) {
+      if (/\s/.test(key)) return 'space'
+      if (/\p{L}/u.test(key)) return 'letter'
+      if (/\p{N}/u.test(key)) return 'digit'
+      return 'punctuation'
+    }
+    if (MODIFIER_KEYS.has(key)) return 'modifier'
+    if (NAVIGATION_KEYS.has(key)) return 'navigation'
+    if (EDITING_KEYS.has(key)) return 'editing'
+    return 'other'
+  }
 
   function _getFieldId(target) {
     if (!target) return 'body'
@@ -217,6 +367,18 @@
     // Still count as interaction even if idle (will restart segment)
     touchInteraction()
     if (isIdle) return
+    noteInput('keyboard')
+
+    const code = event.code || event.key
+    const open = openKeyPresses[code]
+    if (open && event.repeat) {
+      open.repeat = true
+      open.repeatCount++
+      return
+    }
+    // A second real press without a release in between: the keyup was
+    // lost (e.g. focus left the page), so the first one has no duration
+    if (open) keystrokeBuffer.push(open)
 
     const now = performance.now()
     const fieldId = _getFieldId(event.target)
@@ -224,15 +386,17 @@
     const dt = last != null ? now - last : null
     lastKeyTimestampByField[fieldId] = now
 
-    const key = LOGGABLE_KEYS.has(event.key) ? event.key : null
-
-    keystrokeBuffer.push({
+    openKeyPresses[code] = {
       field: fieldId,
-      type: 'down',
+      type: 'press',
       t: now,
-      dt_since_last: dt,
-      key: key
-    })
+      duration: null,
+      repeat: false,
+      repeatCount: 0,
+      category: keyCategory(event),
+      key: loggableKeys.has(event.key) ? event.key : null,
+      dt_since_last: dt
+    }
   }
 
   function handleKeyUp(event) {
@@ -240,15 +404,39 @@
     touchInteraction()
     if (isIdle) return
 
+    const code = event.code || event.key
+    const press = openKeyPresses[code]
+    if (!press) return   // pressed before this segment started
+    delete openKeyPresses[code]
+
+    press.duration = performance.now() - press.t
+    keystrokeBuffer.push(press)
+  }
+
+  // Presses still held when the segment ends go out without a duration
+  function releaseOpenKeyPresses() {
+    keystrokeBuffer.push(...Object.values(openKeyPresses))
+    openKeyPresses = {}
+  }
+
+  // ── IME composition (timing and length only, never the text) ──────
+  const COMPOSITION_EVENTS = ['compositionstart', 'compositionupdate', 'compositionend']
+
+  function handleComposition(event) {
+    if (!recording) return
+    touchInteraction()
+    if (isIdle) return
+
     const now = performance.now()
-    const fieldId = _getFieldId(event.target)
-    const key = LOGGABLE_KEYS.has(event.key) ? event.key : null
+    const dtSinceLast = lastCompositionTimestamp != null ? now - lastCompositionTimestamp : null
+    lastCompositionTimestamp = now
 
-    keystrokeBuffer.push({
-      field: fieldId,
-      type: 'up',
+    compositionBuffer.push({
       t: now,
-      key: key
+      type: event.type.slice('composition'.length),   // start / update / end
+      field: _getFieldId(event.target),
+      length: [...(event.data || '')].length,
+      dt_since_last: dtSinceLast
     })
   }
 
@@ -261,7 +449,7 @@
     const now = performance.now()
 
     // Throttle
-    if (lastScrollTimestamp && (now - lastScrollTimestamp) < SCROLL_THROTTLE_MS) return
+    if (lastScrollTimestamp && (now - lastScrollTimestamp) < config.scrollThrottleMs) return
 
     const sx = window.scrollX
     const sy = window.scrollY
@@ -279,6 +467,151 @@
       scrollY: sy,
       dx: dx,
       dy: dy,
+      dt_since_last: dtSinceLast,
+      source: scrollSource(now)
+    })
+  }
+
+  // Best guess at what moved the page, from the most recent input:
+  // wheel, touch, keyboard, a held mouse button (scrollbar drag), else other
+  const SCROLL_SOURCE_WINDOW_MS = { wheel: 200, touch: 300, keyboard: 500 }
+
+  function noteInput(kind) {
+    lastInput = { kind: kind, t: performance.now() }
+  }
+
+  function scrollSource(now) {
+    const windowMs = SCROLL_SOURCE_WINDOW_MS[lastInput.kind]
+    if (windowMs && now - lastInput.t <= windowMs) return lastInput.kind
+    if (Object.keys(buttonDownAt).length > 0) return 'scrollbar'
+    return 'other'
+  }
+
+  // ── Pointer tracking (mouse, pen, touch via Pointer Events) ───────
+  // down/up/cancel are always kept; moves are sampled per pointer at the
+  // mouse sample interval so pen pressure and tilt stay usable.
+  function handlePointer(event) {
+    if (!recording) return
+    touchInteraction()
+    if (isIdle) return
+
+    const now = performance.now()
+    const type = event.type.slice('pointer'.length)   // down / move / up / cancel
+
+    if (type === 'move') {
+      const last = lastPointerMoveByPointer[event.pointerId]
+      if (last != null && now - last < config.mouseSampleIntervalMs) return
+      lastPointerMoveByPointer[event.pointerId] = now
+    } else if (type === 'up' || type === 'cancel') {
+      delete lastPointerMoveByPointer[event.pointerId]
+    }
+
+    pointerBuffer.push({
+      t: now,
+      type: type,
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      isPrimary: event.isPrimary,
+      x: event.clientX,
+      y: event.clientY,
+      pressure: event.pressure,
+      tangentialPressure: event.tangentialPressure,
+      tiltX: event.tiltX,
+      tiltY: event.tiltY,
+      twist: event.twist,
+      width: event.width,
+      height: event.height,
+      buttons: event.buttons
+    })
+  }
+
+  // ── Touch tracking (multi-touch points) ───────────────────────────
+  function handleTouch(event) {
+    if (!recording) return
+    touchInteraction()
+    if (isIdle) return
+    noteInput('touch')
+
+    const now = performance.now()
+    const type = event.type.slice('touch'.length)   // start / move / end / cancel
+
+    if (type === 'move') {
+      if (lastTouchMoveTimestamp != null && now - lastTouchMoveTimestamp < config.mouseSampleIntervalMs) return
+      lastTouchMoveTimestamp = now
+    }
+
+    const points = []
+    for (const touch of event.changedTouches) {
+      points.push({
+        id: touch.identifier,
+        x: touch.clientX,
+        y: touch.clientY,
+        radiusX: touch.radiusX,
+        radiusY: touch.radiusY,
+        rotationAngle: touch.rotationAngle,
+        force: touch.force
+      })
+    }
+
+    touchBuffer.push({
+      t: now,
+      type: type,
+      touchCount: event.touches.length,
+      points: points
+    })
+  }
+
+  // ── Wheel tracking ────────────────────────────────────────────────
+  function handleWheel(event) {
+    if (!recording) return
+    touchInteraction()
+    if (isIdle) return
+    noteInput('wheel')
+
+    const now = performance.now()
+    const dtSinceLast = lastWheelTimestamp != null ? now - lastWheelTimestamp : null
+    lastWheelTimestamp = now
+
+    wheelBuffer.push({
+      t: now,
+      x: event.clientX,
+      y: event.clientY,
+      deltaX: event.deltaX,
+      deltaY: event.deltaY,
+      deltaZ: event.deltaZ,
+      deltaMode: event.deltaMode,   // 0 = pixels, 1 = lines, 2 = pages
+      dt_since_last: dtSinceLast
+    })
+  }
+
+  // ── Mouse button press / release (press duration) ─────────────────
+  const BUTTON_NAMES = { 0: 'left', 1: 'middle', 2: 'right', 3: 'back', 4: 'forward' }
+
+  function handleMouseButton(event) {
+    if (!recording) return
+    touchInteraction()
+    if (isIdle) return
+
+    const now = performance.now()
+    const type = event.type === 'mousedown' ? 'down' : 'up'
+    const dtSinceLast = lastButtonTimestamp != null ? now - lastButtonTimestamp : null
+    lastButtonTimestamp = now
+
+    let duration = null
+    if (type === 'down') {
+      buttonDownAt[event.button] = now
+    } else if (buttonDownAt[event.button] != null) {
+      duration = now - buttonDownAt[event.button]
+      delete buttonDownAt[event.button]
+    }
+
+    buttonBuffer.push({
+      t: now,
+      type: type,
+      button: BUTTON_NAMES[event.button] || 'unknown',
+      x: event.clientX,
+      y: event.clientY,
+      duration: duration,
       dt_since_last: dtSinceLast
     })
   }
@@ -302,34 +635,73 @@
     if (!recording || isIdle) return
 
     const elapsed = performance.now() - lastInteractionTime
-    if (elapsed >= IDLE_THRESHOLD_MS) {
+    if (elapsed >= config.idleThresholdMs) {
       isIdle = true
       endCurrentSegment()
     }
   }
 
   // ── Flush buffers to background ───────────────────────────────────
+  function bufferSizes() {
+    return {
+      mouse: mouseBuffer.length,
+      clicks: clickBuffer.length,
+      keystrokes: keystrokeBuffer.length,
+      scroll: scrollBuffer.length,
+      pointer: pointerBuffer.length,
+      touch: touchBuffer.length,
+      wheel: wheelBuffer.length,
+      buttons: buttonBuffer.length,
+      composition: compositionBuffer.length,
+      navigation: navigationBuffer.length,
+      markers: markerBuffer.length
+    }
+  }
+
+  function bufferedEventCount() {
+    return Object.values(bufferSizes()).reduce((sum, n) => sum + n, 0)
+  }
+
   function flushBuffers(isSegmentEnd = false) {
     if (!recording || !sessionId) return
 
-    const hasData = mouseBuffer.length || clickBuffer.length ||
-                    keystrokeBuffer.length || scrollBuffer.length
-
-    if (!hasData && !isSegmentEnd) return
+    const buffered = bufferedEventCount()
+    if (buffered === 0 && !isSegmentEnd) return
+    eventsSent += buffered
+    // Empty segment ends aren't stored, so they carry no number
+    if (buffered > 0) flushSeq++
 
+    const url = redactor.url(currentHref)
     const payload = {
       type: 'telemetry',
       sessionId: sessionId,
       segmentId: segmentId,
       tabId: null, // background will fill this
-      url: window.location.href,
-      hostname: window.location.hostname,
+      url: url,
+      hostname: redactor.hostname(window.location.hostname),
       timestamp: Date.now(),
+      // Event t values count from here; timeOrigin + t is epoch ms
+      timeOrigin: performance.timeOrigin,
       isSegmentEnd: isSegmentEnd,
+      seq: buffered > 0 ? flushSeq : null,
+      seqStream: seqStream,
+      isTopFrame: isTopFrame,
+      frameUrl: url,
+      frameOffset: frameOffset ? { ...frameOffset } : null,
       mouse: mouseBuffer.splice(0),
-      clicks: clickBuffer.splice(0),
-      keystrokes: keystrokeBuffer.splice(0),
-      scroll: scrollBuffer.splice(0)
+      clicks: clickBuffer.splice(0).map(redactClick),
+      // Presses are pushed on release; send them in press order
+      keystrokes: keystrokeBuffer.splice(0)
+        .sort((a, b) => a.t - b.t)
+        .map(k => ({ ...k, field: redactor.name(k.field) })),
+      scroll: scrollBuffer.splice(0),
+      pointer: pointerBuffer.splice(0),
+      touch: touchBuffer.splice(0),
+      wheel: wheelBuffer.splice(0),
+      buttons: buttonBuffer.splice(0),
+      composition: compositionBuffer.splice(0).map(c => ({ ...c, field: redactor.name(c.field) })),
+      navigation: navigationBuffer.splice(0),
+      markers: markerBuffer.splice(0)
     }
 
     try {
@@ -342,40 +714,147 @@
     }
   }
 
+  // ── Event rate ────────────────────────────────────────────────────
+  // Sampled once a second by the periodic flush timer
+  function sampleEventRate() {
+    const total = eventsSent + bufferedEventCount()
+    eventRates.push(total - eventsAtLastSample)
+    eventsAtLastSample = total
+    if (eventRates.length > RATE_HISTORY_SECONDS) eventRates.shift()
+  }
+
   // ── Periodic flush timer ──────────────────────────────────────────
   let lastFlushTime = Date.now()
   function periodicFlush() {
+    sampleEventRate()
     const now = Date.now()
-    if (now - lastFlushTime >= FLUSH_INTERVAL_MS) {
+    if (now - lastFlushTime >= config.flushIntervalMs) {
       lastFlushTime = now
       flushBuffers(false)
     }
+    // The frame may have moved (layout change, parent scroll)
+    requestFrameOffset()
   }
 
-  // ── Start / Stop recording ────────────────────────────────────────
-  function startRecording(sid) {
-    if (recording) return
-    sessionId = sid
-    recording = true
-    isIdle = false
-    segmentId = 0
-
-    startNewSegment()
-
-    // Send client hints and network meta once
+  // ── Page meta ─────────────────────────────────────────────────────
+  // Client hints and network meta, sent when recording starts and again
+  // after every SPA navigation
+  function sendPageMeta() {
     try {
       if (chrome.runtime?.id) {
         chrome.runtime.sendMessage({
           type: 'page_meta',
           sessionId: sessionId,
-          url: window.location.href,
-          hostname: window.location.hostname,
+          segmentId: segmentId,
+          url: redactor.url(currentHref),
+          hostname: redactor.hostname(window.location.hostname),
+          isTopFrame: isTopFrame,
+          frameUrl: redactor.url(currentHref),
           clientHints: collectClientHints(),
           network: collectNetworkMeta(),
+          timeOrigin: performance.timeOrigin,
           timestamp: Date.now()
         })
       }
     } catch { /* ignore */ }
+  }
+
+  // ── SPA navigation ────────────────────────────────────────────────
+  // Single-page apps change the URL without loading a new document.
+  // Each same-document navigation ends the current segment under the old
+  // URL and starts a new one that opens with a navigation event. The
+  // Navigation API reports pushState / replaceState, which the page's
+  // own history object can't be hooked for from this isolated world;
+  // popstate and hashchange are listened to as well. Whichever reports
+  // a URL change first wins, so each change is recorded once.
+  const NAVIGATION_TYPES = { push: 'pushState', replace: 'replaceState', traverse: 'popstate' }
+
+  function handleNavigation(type) {
+    const to = window.location.href
+    if (to === currentHref) return
+    const from = currentHref
+
+    if (!recording) {
+      currentHref = to
+      // A page that was blocked may have moved to an allowed URL
+      if (frameMayRecord() && isUrlAllowed(to, siteRules)) announceReady()
+      return
+    }
+
+    if (!isIdle) endCurrentSegment()
+    currentHref = to
+    if (!isUrlAllowed(to, siteRules)) {
+      stopRecording()
+      return
+    }
+
+    // A fragment-only change is a hashchange whichever event reported it
+    const fragmentOnly = from.split('#')[0] === to.split('#')[0]
+    isIdle = false
+    lastInteractionTime = performance.now()
+    startNewSegment()
+    navigationBuffer.push({
+      t: performance.now(),
+      type: fragmentOnly ? 'hashchange' : type,
+      from: redactor.url(from),
+      to: redactor.url(to)
+    })
+    sendPageMeta()
+  }
+
+  // Always listening, so currentHref stays right while not recording
+  if (window.navigation) {
+    window.navigation.addEventListener('currententrychange', (event) => {
+      const type = NAVIGATION_TYPES[event.navigationType]
+      if (type) handleNavigation(type)
+    })
+  }
+  window.addEventListener('popstate', () => handleNavigation('popstate'))
+  window.addEventListener('hashchange', () => handleNavigation('hashchange'))
+
+  // ── Markers ───────────────────────────────────────────────────────
+  // Dropped by the operator (shortcut or popup) and sent to the active
+  // tab's top frame, so they sit in the segment stream next to the input
+  // around them. A marker counts as activity and is flushed right away.
+  function addMarker(label, source) {
+    if (!recording) return false
+
+    touchInteraction()
+    markerBuffer.push({
+      t: performance.now(),
+      label: label,
+      source: source
+    })
+    flushBuffers(false)
+    return true
+  }
+
+  // ── Start / Stop recording ────────────────────────────────────────
+  const POINTER_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']
+  const TOUCH_EVENTS = ['touchstart', 'touchmove', 'touchend', 'touchcancel']
+
+  function startRecording(sid) {
+    if (recording) return
+    // Site rules and frame capture are checked before any listener is attached
+    if (!frameMayRecord() || !isUrlAllowed(window.location.href, siteRules)) return
+
+    // Resuming a paused session keeps counting segments and flushes
+    if (sid !== sessionId) {
+      segmentId = 0
+      flushSeq = 0
+      seqStream = Math.random().toString(36).slice(2, 10)
+    }
+    sessionId = sid
+    recording = true
+    isIdle = false
+    eventsSent = 0
+    eventsAtLastSample = 0
+    eventRates = []
+
+    currentHref = window.location.href
+    startNewSegment()
+    requestFrameOffset()
+    sendPageMeta()
 
     // Attach event listeners
     // Use capture phase (true) for key/click events to catch them before
@@ -386,20 +865,34 @@
     document.addEventListener('keydown', handleKeyDown, { capture: true })
     document.addEventListener('keyup', handleKeyUp, { capture: true })
     window.addEventListener('scroll', handleScroll, { passive: true, capture: true })
+    window.addEventListener('wheel', handleWheel, { passive: true, capture: true })
+    window.addEventListener('mousedown', handleMouseButton, { passive: true, capture: true })
+    window.addEventListener('mouseup', handleMouseButton, { passive: true, capture: true })
+    for (const type of POINTER_EVENTS) {
+      window.addEventListener(type, handlePointer, { passive: true, capture: true })
+    }
+    for (const type of TOUCH_EVENTS) {
+      window.addEventListener(type, handleTouch, { passive: true, capture: true })
+    }
+    for (const type of COMPOSITION_EVENTS) {
+      document.addEventListener(type, handleComposition, { capture: true })
+    }
     document.addEventListener('visibilitychange', handleVisibilityChange)
 
-    // Start timers
-    mouseIntervalId = setInterval(sampleMousePosition, MOUSE_SAMPLE_INTERVAL_MS)
+    // Start timers (mouse sampling was started by startNewSegment — a
+    // second interval here would double-sample and could never be
+    // restarted at a new rate)
     flushIntervalId = setInterval(periodicFlush, 1000)
     idleCheckIntervalId = setInterval(checkIdle, 1000)
   }
 
   function stopRecording() {
     if (!recording) return
-    recording = false
 
-    // Final flush
+    // Final flush (must run while still recording)
+    releaseOpenKeyPresses()
     flushBuffers(true)
+    recording = false
 
     // Remove listeners (must match the capture flag used in addEventListener)
     window.removeEventListener('mousemove', handleMouseMove, { capture: true })
@@ -407,6 +900,18 @@
     document.removeEventListener('keydown', handleKeyDown, { capture: true })
     document.removeEventListener('keyup', handleKeyUp, { capture: true })
     window.removeEventListener('scroll', handleScroll, { capture: true })
+    window.removeEventListener('wheel', handleWheel, { capture: true })
+    window.removeEventListener('mousedown', handleMouseButton, { capture: true })
+    window.removeEventListener('mouseup', handleMouseButton, { capture: true })
+    for (const type of POINTER_EVENTS) {
+      window.removeEventListener(type, handlePointer, { capture: true })
+    }
+    for (const type of TOUCH_EVENTS) {
+      window.removeEventListener(type, handleTouch, { capture: true })
+    }
+    for (const type of COMPOSITION_EVENTS) {
+      document.removeEventListener(type, handleComposition, { capture: true })
+    }
     document.removeEventListener('visibilitychange', handleVisibilityChange)
 
     // Clear timers
@@ -415,36 +920,99 @@
     if (idleCheckIntervalId) { clearInterval(idleCheckIntervalId); idleCheckIntervalId = null }
   }
 
+  // ── Live config updates ───────────────────────────────────────────
+  function applyConfig(newConfig) {
+    const rateChanged = newConfig.mouseSampleIntervalMs !== config.mouseSampleIntervalMs
+    config = newConfig
+    loggableKeys = new Set(config.loggableKeys)
+
+    // Restart mouse sampling at the new rate if it is running
+    if (rateChanged && mouseIntervalId) {
+      clearInterval(mouseIntervalId)
+      mouseIntervalId = setInterval(sampleMousePosition, config.mouseSampleIntervalMs)
+    }
+  }
+
+  function applyPrivacy(newPrivacy, newSalt) {
+    privacy = newPrivacy
+    privacySalt = newSalt
+    redactor = createRedactor(privacy, privacySalt)
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[PRIVACY_SALT_KEY]) {
+      applyPrivacy(privacy, changes[PRIVACY_SALT_KEY].newValue || '')
+    }
+    if (areaName !== 'sync') return
+
+    if (changes[PRIVACY_STORAGE_KEY]) {
+      applyPrivacy(validatePrivacy(changes[PRIVACY_STORAGE_KEY].newValue).settings, privacySalt)
+    }
+
+    if (changes[CONFIG_STORAGE_KEY]) {
+      const couldRecord = frameMayRecord()
+      applyConfig(validateConfig(changes[CONFIG_STORAGE_KEY].newValue).config)
+
+      // Frame capture toggled: iframes stop, or ask to join the session
+      if (couldRecord && !frameMayRecord()) {
+        stopRecording()
+      } else if (!couldRecord && frameMayRecord()) {
+        announceReady()
+      }
+    }
+
+    if (changes[SITE_RULES_STORAGE_KEY]) {
+      siteRules = validateSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue).rules
+      if (recording && !isUrlAllowed(window.location.href, siteRules)) {
+        stopRecording()
+      } else if (!recording) {
+        // Newly allowed page — ask whether a session is running
+        announceReady()
+      }
+    }
+  })
+
   // ── Message handler (from background) ─────────────────────────────
-  chrome.runtime.onMessage.addListener((msg) => {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.type === 'start_recording') {
       startRecording(msg.sessionId)
     } else if (msg.type === 'stop_recording') {
       stopRecording()
+    } else if (msg.type === 'add_marker') {
+      sendResponse({ success: addMarker(msg.label, msg.source) })
     } else if (msg.type === 'get_status') {
-      // Reply with current state
-      try {
-        chrome.runtime.sendMessage({
-          type: 'content_status',
-          recording: recording,
-          isIdle: isIdle,
-          segmentId: segmentId,
-          bufferSizes: {
-            mouse: mouseBuffer.length,
-            clicks: clickBuffer.length,
-            keystrokes: keystrokeBuffer.length,
-            scroll: scrollBuffer.length
-          }
-        })
-      } catch { /* ignore */ }
+      // Answered to the background's tab status query (popup live view)
+      sendResponse({
+        type: 'content_status',
+        recording: recording,
+        isIdle: isIdle,
+        hidden: document.hidden,
+        sessionId: sessionId,
+        segmentId: segmentId,
+        bufferSizes: bufferSizes(),
+        eventRates: [...eventRates]
+      })
     }
   })
 
   // ── Auto-start if background says we should be recording ──────────
-  try {
-    if (chrome.runtime?.id) {
-      chrome.runtime.sendMessage({ type: 'content_ready' })
-    }
-  } catch { /* ignore — extension context may not be ready */ }
+  // Load the stored config and site rules first so recording never
+  // starts on defaults
+  function announceReady() {
+    try {
+      if (chrome.runtime?.id) {
+        chrome.runtime.sendMessage({ type: 'content_ready' })
+      }
+    } catch { /* ignore — extension context may not be ready */ }
+  }
+
+  Promise.all([loadConfig(), loadSiteRules(), loadPrivacy(), loadPrivacySalt()])
+    .then(([storedConfig, storedRules, storedPrivacy, salt]) => {
+      applyConfig(storedConfig)
+      siteRules = storedRules
+      applyPrivacy(storedPrivacy, salt)
+    })
+    .catch(() => { /* keep defaults */ })
+    .finally(announceReady)
 
 })()
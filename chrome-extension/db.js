@@ -0,0 +1,358 @@
+// TicketMonarch Telemetry Collector — IndexedDB Store
+// Shared by the background service worker (via importScripts) and the
+// extension pages. Sessions, segments, page meta and browser events live
+// in separate object stores so appending a flush is a single O(1) add instead of a
+// read-modify-write of the whole dataset.
+//
+// Only the background worker writes (through its write queue); pages
+// read directly and send mutations to the background as messages.
+
+'use strict'
+
+const DB_NAME = 'tm_telemetry'
+const DB_VERSION = 4
+
+// Upload state of each stored flush record (segments.syncState)
+const SYNC_NEW = 0      // not yet handed to the uploader
+const SYNC_QUEUED = 1   // part of an outbox batch awaiting acknowledgement
+const SYNC_SYNCED = 2   // acknowledged by the collector
+const SYNC_IMPORTED = 3 // read from an export file; never uploaded
+
+let dbPromise = null
+
+// ── Connection / schema ─────────────────────────────────────────────
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+
+    req.onupgradeneeded = (event) => {
+      upgradeDatabase(req.result, event.oldVersion, req.transaction)
+    }
+    req.onsuccess = () => {
+      const db = req.result
+      // Another context is upgrading the schema — let go so it can proceed
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+    req.onerror = () => {
+      dbPromise = null
+      reject(req.error)
+    }
+  })
+
+  return dbPromise
+}
+
+function upgradeDatabase(db, oldVersion, tx) {
+  if (oldVersion < 1) {
+    const sessions = db.createObjectStore('sessions', { keyPath: 'sessionId' })
+    sessions.createIndex('startTime', 'startTime')
+
+    const segments = db.createObjectStore('segments', { keyPath: 'id', autoIncrement: true })
+    segments.createIndex('sessionId', 'sessionId')
+    segments.createIndex('segmentId', 'segmentId')
+    segments.createIndex('tabId', 'tabId')
+    segments.createIndex('timestamp', 'timestamp')
+
+    const pageMeta = db.createObjectStore('pageMeta', { keyPath: 'id', autoIncrement: true })
+    pageMeta.createIndex('sessionId', 'sessionId')
+    pageMeta.createIndex('segmentId', 'segmentId')
+    pageMeta.createIndex('tabId', 'tabId')
+    pageMeta.createIndex('timestamp', 'timestamp')
+  }
+
+  if (oldVersion < 2) {
+    const segments = tx.objectStore('segments')
+    segments.createIndex('syncState', 'syncState')
+
+    // Records from before uploads existed still need to be uploaded
+    segments.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+      if (cursor.value.syncState == null) cursor.update({ ...cursor.value, syncState: SYNC_NEW })
+      cursor.continue()
+    }
+
+    const outbox = db.createObjectStore('outbox', { keyPath: 'batchId' })
+    outbox.createIndex('sessionId', 'sessionId')
+    outbox.createIndex('nextAttemptAt', 'nextAttemptAt')
+  }
+
+  if (oldVersion < 3) {
+    const browserEvents = db.createObjectStore('browserEvents', { keyPath: 'id', autoIncrement: true })
+    browserEvents.createIndex('sessionId', 'sessionId')
+    browserEvents.createIndex('timestamp', 'timestamp')
+  }
+
+  if (oldVersion < 4) {
+    // Per-session lookups by segment, tab and time. Sessions are keyed
+    // by sessionId and indexed by startTime; they hold no tab or segment
+    // fields of their own.
+    for (const name of ['segments', 'pageMeta']) {
+      const store = tx.objectStore(name)
+      store.createIndex('sessionId_segmentId', ['sessionId', 'segmentId'])
+      store.createIndex('sessionId_tabId', ['sessionId', 'tabId'])
+      store.createIndex('sessionId_timestamp', ['sessionId', 'timestamp'])
+    }
+  }
+}
+
+// ── Promise helpers ─────────────────────────────────────────────────
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'))
+  })
+}
+
+// Runs fn(tx) and resolves with its result once the transaction commits.
+// fn may await IDB requests but must not await anything else, or the
+// transaction auto-commits underneath it.
+async function withTransaction(storeNames, mode, fn) {
+  const db = await openDatabase()
+  const tx = db.transaction(storeNames, mode)
+  const done = transactionDone(tx)
+
+  let result
+  try {
+    result = await fn(tx)
+  } catch (err) {
+    try { tx.abort() } catch { /* already finished */ }
+    done.catch(() => {})
+    throw err
+  }
+
+  await done
+  return result
+}
+
+// ── Sessions ────────────────────────────────────────────────────────
+function dbPutSession(session) {
+  return withTransaction('sessions', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('sessions').put(session)))
+}
+
+function dbGetSession(sessionId) {
+  return withTransaction('sessions', 'readonly', tx =>
+    requestToPromise(tx.objectStore('sessions').get(sessionId)))
+}
+
+// All sessions, oldest first
+function dbGetAllSessions() {
+  return withTransaction('sessions', 'readonly', tx =>
+    requestToPromise(tx.objectStore('sessions').index('startTime').getAll()))
+}
+
+// ── Segments ────────────────────────────────────────────────────────
+function dbAddSegment(segment) {
+  return withTransaction('segments', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('segments').add(segment)))
+}
+
+function dbCountSegments(sessionId) {
+  return withTransaction('segments', 'readonly', tx =>
+    requestToPromise(tx.objectStore('segments').index('sessionId').count(IDBKeyRange.only(sessionId))))
+}
+
+// Up to `limit` segments of a session in insertion order, starting after
+// the segment whose primary key is `afterId` (null = from the beginning).
+function dbGetSegmentBatch(sessionId, afterId, limit) {
+  return withTransaction('segments', 'readonly', tx => new Promise((resolve, reject) => {
+    const out = []
+    const req = tx.objectStore('segments').index('sessionId').openCursor(IDBKeyRange.only(sessionId))
+    let positioned = afterId == null
+
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return resolve(out)
+
+      if (!positioned) {
+        positioned = true
+        if (cursor.primaryKey <= afterId) {
+          cursor.continuePrimaryKey(sessionId, afterId + 1)
+          return
+        }
+      }
+
+      out.push(cursor.value)
+      if (out.length >= limit) return resolve(out)
+      cursor.continue()
+    }
+    req.onerror = () => reject(req.error)
+  }))
+}
+
+// Walks a session's segments in insertion order, one batch at a time, so
+// callers never hold the whole session in memory.
+async function dbForEachSegmentBatch(sessionId, batchSize, onBatch) {
+  let afterId = null
+  for (;;) {
+    const batch = await dbGetSegmentBatch(sessionId, afterId, batchSize)
+    if (batch.length === 0) return
+    await onBatch(batch)
+    if (batch.length < batchSize) return
+    afterId = batch[batch.length - 1].id
+  }
+}
+
+// { count, unsaved, bytes, lastTimestamp } of a session's flushes.
+// Unsaved flushes are neither acknowledged by the collector nor imported;
+// bytes is the JSON size, an approximation of what the records occupy.
+function dbSummarizeSegments(sessionId) {
+  return withTransaction('segments', 'readonly', tx => new Promise((resolve, reject) => {
+    const summary = { count: 0, unsaved: 0, bytes: 0, lastTimestamp: null }
+    const req = tx.objectStore('segments').index('sessionId').openCursor(IDBKeyRange.only(sessionId))
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return resolve(summary)
+      const record = cursor.value
+      summary.count++
+      if (record.syncState === SYNC_NEW || record.syncState === SYNC_QUEUED) summary.unsaved++
+      summary.bytes += JSON.stringify(record).length
+      summary.lastTimestamp = Math.max(summary.lastTimestamp ?? record.timestamp, record.timestamp)
+      cursor.continue()
+    }
+    req.onerror = () => reject(req.error)
+  }))
+}
+
+// ── Page meta ───────────────────────────────────────────────────────
+function dbAddPageMeta(meta) {
+  return withTransaction('pageMeta', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('pageMeta').add(meta)))
+}
+
+function dbGetPageMeta(sessionId) {
+  return withTransaction('pageMeta', 'readonly', tx =>
+    requestToPromise(tx.objectStore('pageMeta').index('sessionId').getAll(IDBKeyRange.only(sessionId))))
+}
+
+// ── Browser events ──────────────────────────────────────────────────
+// Tab / window focus, tab lifecycle and system idle, recorded by the
+// background worker (one record per event)
+function dbAddBrowserEvent(event) {
+  return withTransaction('browserEvents', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('browserEvents').add(event)))
+}
+
+// A session's browser events in the order they were recorded
+function dbGetBrowserEvents(sessionId) {
+  return withTransaction('browserEvents', 'readonly', tx =>
+    requestToPromise(tx.objectStore('browserEvents').index('sessionId').getAll(IDBKeyRange.only(sessionId))))
+}
+
+// ── Bulk operations ─────────────────────────────────────────────────
+// Writes a session with its segments, page meta and browser events in
+// one transaction (legacy chrome.storage.local migration, imports).
+function dbWriteSessionBundle(session, segments, pageMeta, browserEvents = []) {
+  return withTransaction(['sessions', 'segments', 'pageMeta', 'browserEvents'], 'readwrite', tx => {
+    tx.objectStore('sessions').put(session)
+    const segmentStore = tx.objectStore('segments')
+    for (const seg of segments) segmentStore.add(seg)
+    const metaStore = tx.objectStore('pageMeta')
+    for (const meta of pageMeta) metaStore.add(meta)
+    const browserEventStore = tx.objectStore('browserEvents')
+    for (const event of browserEvents) browserEventStore.add(event)
+  })
+}
+
+// Rewrites a session record with its page meta and browser events in
+// one transaction (schema migrations, see schema.js)
+function dbReplaceSessionHeader(session, pageMeta, browserEvents) {
+  return withTransaction(['sessions', 'pageMeta', 'browserEvents'], 'readwrite', async tx => {
+    tx.objectStore('sessions').put(session)
+    await deleteByIndex(tx.objectStore('pageMeta'), 'sessionId', session.sessionId)
+    await deleteByIndex(tx.objectStore('browserEvents'), 'sessionId', session.sessionId)
+    for (const meta of pageMeta) tx.objectStore('pageMeta').put(meta)
+    for (const event of browserEvents) tx.objectStore('browserEvents').put(event)
+  })
+}
+
+function deleteByIndex(store, indexName, key) {
+  return new Promise((resolve, reject) => {
+    const req = store.index(indexName).openKeyCursor(IDBKeyRange.only(key))
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return resolve()
+      store.delete(cursor.primaryKey)
+      cursor.continue()
+    }
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function dbDeleteSession(sessionId) {
+  return withTransaction(['sessions', 'segments', 'pageMeta', 'browserEvents', 'outbox'], 'readwrite', async tx => {
+    tx.objectStore('sessions').delete(sessionId)
+    await deleteByIndex(tx.objectStore('segments'), 'sessionId', sessionId)
+    await deleteByIndex(tx.objectStore('pageMeta'), 'sessionId', sessionId)
+    await deleteByIndex(tx.objectStore('browserEvents'), 'sessionId', sessionId)
+    await deleteByIndex(tx.objectStore('outbox'), 'sessionId', sessionId)
+  })
+}
+
+// Rewrites every record of one index key in place
+function updateByIndex(store, indexName, key, fn) {
+  return new Promise((resolve, reject) => {
+    const req = store.index(indexName).openCursor(IDBKeyRange.only(key))
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return resolve()
+      const record = cursor.value
+      fn(record)
+      cursor.update(record)
+      cursor.continue()
+    }
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Moves the segments, page meta and browser events of sourceIds into
+// `target` (already merged by the caller) and drops the source sessions. Moved records keep
+// their original session in `mergedFrom` so segment ids never collide.
+// Queued uploads are re-batched under the target session.
+function dbMergeSessions(target, sourceIds) {
+  return withTransaction(['sessions', 'segments', 'pageMeta', 'browserEvents', 'outbox'], 'readwrite', async tx => {
+    tx.objectStore('sessions').put(target)
+    for (const sid of sourceIds) {
+      await updateByIndex(tx.objectStore('segments'), 'sessionId', sid, segment => {
+        segment.sessionId = target.sessionId
+        segment.mergedFrom = segment.mergedFrom ?? sid
+        if (segment.syncState === SYNC_QUEUED) segment.syncState = SYNC_NEW
+      })
+      await updateByIndex(tx.objectStore('pageMeta'), 'sessionId', sid, meta => {
+        meta.sessionId = target.sessionId
+        meta.mergedFrom = meta.mergedFrom ?? sid
+      })
+      await updateByIndex(tx.objectStore('browserEvents'), 'sessionId', sid, event => {
+        event.sessionId = target.sessionId
+        event.mergedFrom = event.mergedFrom ?? sid
+      })
+      await deleteByIndex(tx.objectStore('outbox'), 'sessionId', sid)
+      tx.objectStore('sessions').delete(sid)
+    }
+  })
+}
+
+function dbClearAll() {
+  return withTransaction(['sessions', 'segments', 'pageMeta', 'browserEvents', 'outbox'], 'readwrite', tx => {
+    tx.objectStore('sessions').clear()
+    tx.objectStore('segments').clear()
+    tx.objectStore('pageMeta').clear()
+    tx.objectStore('browserEvents').clear()
+    tx.objectStore('outbox').clear()
+  })
+}
@@ -0,0 +1,85 @@
+// TicketMonarch Telemetry Collector — Export File Reader
+// Shared by the session manager (import) and the replay viewer. Reads
+// the raw JSON / NDJSON exports written by offscreen.js back into
+// { sessionId, header, segments } objects and checks them against
+// export.schema.json (after upgrading older headers, see schema.js).
+
+'use strict'
+
+// A JSON export is one object keyed by sessionId; NDJSON has "session"
+// and "segment" lines. Throws on text that is neither, and on timeline
+// NDJSON: its "event" lines no longer say which segment timing they came
+// from, so they can't be turned back into segments.
+function parseExportText(text) {
+  let parsed = null
+  try { parsed = JSON.parse(text) } catch { /* not a single JSON document */ }
+
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && !parsed.kind) {
+    return Object.entries(parsed)
+      .filter(([, value]) => value && typeof value === 'object')
+      .map(([sessionId, { segments, totalSegments, tabs, quality, ...header }]) => ({ sessionId, header, segments }))
+  }
+  if (parsed !== null && !(parsed && parsed.kind)) throw new Error('Not a telemetry export')
+
+  const sessions = new Map()
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return
+    let record
+    try { record = JSON.parse(line) } catch { throw new Error(`Line ${i + 1} is not valid JSON`) }
+
+    if (record.kind === 'session') {
+      const { kind, ...header } = record
+      sessions.set(header.sessionId, { sessionId: header.sessionId, header, segments: [] })
+    } else if (record.kind === 'segment') {
+      const { kind, sessionId, ...seg } = record
+      if (!sessions.has(sessionId)) throw new Error(`Line ${i + 1}: segment before its session`)
+      sessions.get(sessionId).segments.push(seg)
+    } else if (record.kind === 'event') {
+      throw new Error('Timeline exports cannot be imported; use a JSON or NDJSON export')
+    }
+  })
+  return [...sessions.values()]
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+// Returns a list of problems with one parsed session; empty when it can
+// be imported. The schema check runs once the structure is sound.
+function validateExportedSession(session, schema) {
+  const errors = []
+
+  if (typeof session.sessionId !== 'string' || !session.sessionId) errors.push('sessionId is missing')
+  if (session.header.sessionId !== undefined && session.header.sessionId !== session.sessionId) {
+    errors.push('sessionId does not match its key')
+  }
+  if (!isFiniteNumber(session.header.startTime)) errors.push('startTime is missing')
+  if (session.header.pageMeta !== undefined && !Array.isArray(session.header.pageMeta)) {
+    errors.push('pageMeta must be a list')
+  }
+  if (session.header.browserEvents !== undefined && !Array.isArray(session.header.browserEvents)) {
+    errors.push('browserEvents must be a list')
+  }
+  if (!Array.isArray(session.segments)) {
+    errors.push('segments must be a list')
+    return errors
+  }
+
+  session.segments.forEach((seg, i) => {
+    const where = `segment ${i + 1}`
+    if (!seg || typeof seg !== 'object') {
+      errors.push(`${where}: not an object`)
+      return
+    }
+    if (!isFiniteNumber(seg.segmentId)) errors.push(`${where}: segmentId is missing`)
+    if (!isFiniteNumber(seg.startTime) || !isFiniteNumber(seg.endTime)) errors.push(`${where}: startTime / endTime missing`)
+    for (const type of EVENT_TYPES) {
+      if (seg[type] !== undefined && !Array.isArray(seg[type])) errors.push(`${where}: ${type} must be a list`)
+    }
+  })
+  if (errors.length > 0) return errors
+
+  const current = { ...migrateSessionHeader(session.header), segments: session.segments }
+  return validateSchema(schema, '#', current, 'session')
+}
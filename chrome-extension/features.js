@@ -0,0 +1,341 @@
+// TicketMonarch Telemetry Collector — Behavioral Features
+// Shared by the offscreen export builder and extension pages. Turns one
+// merged segment into a flat feature vector so every consumer of the
+// exports works from the same mouse / keyboard / click / scroll math.
+// Times are milliseconds, distances CSS pixels, speeds px/s.
+
+'use strict'
+
+const MOUSE_ANGLE_BINS = 8
+const MOUSE_PAUSE_MS = 100        // no movement for this long counts as a pause
+const SCROLL_BURST_GAP_MS = 250   // scroll events closer than this form one burst
+
+// Coarse key classes recorded by the content script (keyCategory)
+const KEY_CATEGORIES = ['letter', 'digit', 'punctuation', 'space', 'modifier', 'navigation', 'editing', 'ime', 'other']
+
+// Each distribution is reduced to these statistics
+const DISTRIBUTION_STATS = ['mean', 'std', 'median', 'p90', 'max']
+
+// Per-segment metadata repeated on every feature row
+const FEATURE_METADATA_COLUMNS = [
+  'sessionId', 'segmentId', 'tabId', 'frameId', 'url', 'hostname',
+  'label', 'participantId', 'tags', 'startTime', 'endTime',
+]
+
+const FEATURE_DISTRIBUTIONS = [
+  'mouse_velocity', 'mouse_acceleration', 'mouse_jerk',
+  'key_dwell', 'key_flight', 'key_down_down', 'ime_composition_duration',
+  'click_interval', 'scroll_interval',
+  'scroll_burst_length', 'scroll_burst_duration', 'scroll_burst_distance',
+]
+
+const FEATURE_COLUMNS = [
+  'duration',
+  'mouse_samples', 'mouse_path_length', 'mouse_straightness', 'mouse_curvature',
+  'mouse_pause_count', 'mouse_pause_total',
+  ...Array.from({ length: MOUSE_ANGLE_BINS }, (_, i) => `mouse_angle_bin_${i}`),
+  'key_downs', 'key_ups', 'key_repeats',
+  ...KEY_CATEGORIES.map(category => `key_${category}`),
+  'ime_compositions',
+  'click_count', 'click_left', 'click_middle', 'click_right',
+  'scroll_events', 'scroll_distance', 'scroll_direction_changes', 'scroll_bursts',
+  ...FEATURE_DISTRIBUTIONS.flatMap(name => DISTRIBUTION_STATS.map(stat => `${name}_${stat}`)),
+]
+
+// ── Statistics ──────────────────────────────────────────────────────
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null
+  const pos = (sorted.length - 1) * q
+  const lower = Math.floor(pos)
+  const upper = Math.ceil(pos)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower)
+}
+
+// { mean, std, median, p90, max }, all null for an empty list
+function describeDistribution(values) {
+  if (values.length === 0) return Object.fromEntries(DISTRIBUTION_STATS.map(stat => [stat, null]))
+  const sorted = [...values].sort((a, b) => a - b)
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    median: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    max: sorted[sorted.length - 1],
+  }
+}
+
+// Successive differences of `values` over the matching time steps
+function rates(values, times) {
+  const out = []
+  const outTimes = []
+  for (let i = 1; i < values.length; i++) {
+    const dt = times[i] - times[i - 1]
+    if (dt <= 0) continue
+    out.push(((values[i] - values[i - 1]) / dt) * 1000)
+    outTimes.push((times[i] + times[i - 1]) / 2)
+  }
+  return { values: out, times: outTimes }
+}
+
+// ── Mouse ───────────────────────────────────────────────────────────
+// Samples repeat the last position while the pointer rests, so a run of
+// zero-length steps is a pause
+function mouseFeatures(samples) {
+  const features = {
+    mouse_samples: samples.length,
+    mouse_path_length: 0,
+    mouse_straightness: null,
+    mouse_curvature: null,
+    mouse_pause_count: 0,
+    mouse_pause_total: 0,
+  }
+  const angleBins = new Array(MOUSE_ANGLE_BINS).fill(0)
+  const speeds = []
+  const speedTimes = []
+  let turning = 0
+  let lastAngle = null
+  let restStart = null
+
+  const closeRest = (end) => {
+    if (restStart !== null && end - restStart >= MOUSE_PAUSE_MS) {
+      features.mouse_pause_count++
+      features.mouse_pause_total += end - restStart
+    }
+    restStart = null
+  }
+
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1]
+    const cur = samples[i]
+    const dt = cur.t - prev.t
+    const dx = cur.x - prev.x
+    const dy = cur.y - prev.y
+    const dist = Math.hypot(dx, dy)
+
+    if (dist === 0) {
+      if (restStart === null) restStart = prev.t
+      continue
+    }
+    closeRest(prev.t)
+
+    features.mouse_path_length += dist
+    if (dt > 0) {
+      speeds.push((dist / dt) * 1000)
+      speedTimes.push((cur.t + prev.t) / 2)
+    }
+
+    const angle = Math.atan2(dy, dx)
+    const bin = Math.floor(((angle + Math.PI) / (2 * Math.PI)) * MOUSE_ANGLE_BINS) % MOUSE_ANGLE_BINS
+    angleBins[bin]++
+    if (lastAngle !== null) {
+      let turn = Math.abs(angle - lastAngle)
+      if (turn > Math.PI) turn = 2 * Math.PI - turn
+      turning += turn
+    }
+    lastAngle = angle
+  }
+  if (samples.length > 0) closeRest(samples[samples.length - 1].t)
+
+  if (features.mouse_path_length > 0) {
+    const first = samples[0]
+    const last = samples[samples.length - 1]
+    features.mouse_straightness = Math.hypot(last.x - first.x, last.y - first.y) / features.mouse_path_length
+    features.mouse_curvature = turning / features.mouse_path_length   // radians per pixel
+  }
+
+  const moves = angleBins.reduce((sum, n) => sum + n, 0)
+  angleBins.forEach((n, i) => { features[`mouse_angle_bin_${i}`] = moves > 0 ? n / moves : null })
+
+  const acceleration = rates(speeds, speedTimes)
+  const jerk = rates(acceleration.values, acceleration.times)
+  return {
+    features,
+    distributions: {
+      mouse_velocity: speeds,
+      mouse_acceleration: acceleration.values,
+      mouse_jerk: jerk.values,
+    },
+  }
+}
+
+// ── Keyboard ────────────────────────────────────────────────────────
+// Presses carry their own hold duration. Exports from before presses
+// were paired have separate down / up records instead; there key-ups are
+// matched to the oldest open key-down in the same field. Flight time
+// runs from one key's release to the next key's press.
+function keyTimeline(keystrokes) {
+  const timeline = []
+  for (const k of keystrokes) {
+    if (k.type === 'press') {
+      timeline.push({ t: k.t, type: 'down', field: k.field, dwell: k.duration })
+      if (k.duration !== null && k.duration !== undefined) timeline.push({ t: k.t + k.duration, type: 'up' })
+    } else if (k.type === 'down' || k.type === 'up') {
+      timeline.push({ t: k.t, type: k.type, field: k.field })
+    }
+  }
+  return timeline.sort((a, b) => a.t - b.t)
+}
+
+function keyboardFeatures(keystrokes, composition) {
+  const open = new Map()   // field → pending down times (old records)
+  const dwell = []
+  const flight = []
+  const downDown = []
+  let lastUp = null
+  let lastDown = null
+  let downs = 0
+  let ups = 0
+
+  for (const k of keyTimeline(keystrokes)) {
+    if (k.type === 'down') {
+      downs++
+      if (lastUp !== null && k.t >= lastUp) flight.push(k.t - lastUp)
+      if (lastDown !== null) downDown.push(k.t - lastDown)
+      lastDown = k.t
+      if (k.dwell !== undefined) {
+        if (k.dwell !== null) dwell.push(k.dwell)
+        continue
+      }
+      if (!open.has(k.field)) open.set(k.field, [])
+      open.get(k.field).push(k.t)
+    } else {
+      ups++
+      lastUp = k.t
+      const pending = open.get(k.field)
+      if (pending && pending.length > 0) dwell.push(k.t - pending.shift())
+    }
+  }
+
+  const presses = keystrokes.filter(k => k.type === 'press')
+  const features = {
+    key_downs: downs,
+    key_ups: ups,
+    key_repeats: presses.filter(k => k.repeat).length,
+    ime_compositions: 0,
+  }
+  for (const category of KEY_CATEGORIES) {
+    features[`key_${category}`] = presses.filter(k => k.category === category).length
+  }
+
+  const compositionDurations = []
+  let compositionStart = null
+  for (const c of composition) {
+    if (c.type === 'start') {
+      compositionStart = c.t
+    } else if (c.type === 'end') {
+      features.ime_compositions++
+      if (compositionStart !== null) compositionDurations.push(c.t - compositionStart)
+      compositionStart = null
+    }
+  }
+
+  return {
+    features,
+    distributions: {
+      key_dwell: dwell,
+      key_flight: flight,
+      key_down_down: downDown,
+      ime_composition_duration: compositionDurations,
+    },
+  }
+}
+
+// ── Clicks / scroll ─────────────────────────────────────────────────
+function clickFeatures(clicks) {
+  return {
+    features: {
+      click_count: clicks.length,
+      click_left: clicks.filter(c => c.button === 'left').length,
+      click_middle: clicks.filter(c => c.button === 'middle').length,
+      click_right: clicks.filter(c => c.button === 'right').length,
+    },
+    distributions: {
+      click_interval: clicks.map(c => c.dt_since_last).filter(dt => typeof dt === 'number'),
+    },
+  }
+}
+
+function scrollFeatures(scroll) {
+  const bursts = []
+  let burst = null
+  let distance = 0
+  let directionChanges = 0
+  let lastDirection = 0
+
+  for (const s of scroll) {
+    const step = Math.abs(s.dx || 0) + Math.abs(s.dy || 0)
+    distance += step
+
+    const direction = Math.sign(s.dy || 0)
+    if (direction !== 0) {
+      if (lastDirection !== 0 && direction !== lastDirection) directionChanges++
+      lastDirection = direction
+    }
+
+    if (!burst || s.dt_since_last === null || s.dt_since_last > SCROLL_BURST_GAP_MS) {
+      burst = { start: s.t, end: s.t, count: 0, distance: 0 }
+      bursts.push(burst)
+    }
+    burst.end = s.t
+    burst.count++
+    burst.distance += step
+  }
+
+  return {
+    features: {
+      scroll_events: scroll.length,
+      scroll_distance: distance,
+      scroll_direction_changes: directionChanges,
+      scroll_bursts: bursts.length,
+    },
+    distributions: {
+      scroll_interval: scroll.map(s => s.dt_since_last).filter(dt => typeof dt === 'number'),
+      scroll_burst_length: bursts.map(b => b.count),
+      scroll_burst_duration: bursts.map(b => b.end - b.start),
+      scroll_burst_distance: bursts.map(b => b.distance),
+    },
+  }
+}
+
+// ── Feature vectors ─────────────────────────────────────────────────
+// Flat { column: number | null } for one merged segment, in FEATURE_COLUMNS
+function computeSegmentFeatures(seg) {
+  const parts = [
+    mouseFeatures(seg.mouse || []),
+    keyboardFeatures(seg.keystrokes || [], seg.composition || []),
+    clickFeatures(seg.clicks || []),
+    scrollFeatures(seg.scroll || []),
+  ]
+
+  const values = { duration: seg.endTime - seg.startTime }
+  for (const part of parts) {
+    Object.assign(values, part.features)
+    for (const [name, list] of Object.entries(part.distributions)) {
+      for (const [stat, value] of Object.entries(describeDistribution(list))) {
+        values[`${name}_${stat}`] = value
+      }
+    }
+  }
+  return Object.fromEntries(FEATURE_COLUMNS.map(column => [column, values[column] ?? null]))
+}
+
+// One exported feature row: segment + session metadata, then features
+function featureRow(session, seg, features = computeSegmentFeatures(seg)) {
+  const annotation = sessionAnnotation(session)
+  return {
+    sessionId: session.sessionId,
+    segmentId: seg.segmentId,
+    tabId: seg.tabId,
+    frameId: seg.frameId,
+    url: seg.url,
+    hostname: seg.hostname,
+    label: annotation.label,
+    participantId: annotation.participantId,
+    tags: annotation.tags.join(';'),
+    startTime: seg.startTime,
+    endTime: seg.endTime,
+    ...features,
+  }
+}
@@ -0,0 +1,497 @@
+// TicketMonarch Telemetry Collector — Offscreen Export Builder
+// The service worker can't create Blobs or object URLs, so it asks this
+// offscreen document to build each export file. Segments are read from
+// IndexedDB in batches and appended to a Blob a chunk at a time, so the
+// full dataset is never held as one string.
+
+'use strict'
+
+const SEGMENT_BATCH_SIZE = 200
+const CHUNK_CHARS = 1 << 20   // hand text to a Blob part every ~1M chars
+
+// ── Incremental Blob writer ─────────────────────────────────────────
+function createBlobWriter() {
+  const parts = []
+  let chunk = ''
+
+  function flush() {
+    if (!chunk) return
+    parts.push(new Blob([chunk]))
+    chunk = ''
+  }
+
+  return {
+    write(str) {
+      chunk += str
+      if (chunk.length >= CHUNK_CHARS) flush()
+    },
+    // Binary parts (Blob / ArrayBuffer / typed array) go in as they are
+    append(part) {
+      flush()
+      parts.push(part)
+    },
+    finish(mimeType) {
+      flush()
+      return new Blob(parts, { type: mimeType })
+    },
+  }
+}
+
+// ── Progress reporting ──────────────────────────────────────────────
+function createProgressReporter(exportId, base, total) {
+  let done = 0
+
+  return function advance(count) {
+    done += count
+    chrome.runtime.sendMessage({
+      type: 'export_progress',
+      exportId,
+      done: base + done,
+      total,
+    }).catch(() => { /* popup may be closed */ })
+  }
+}
+
+// ── Schema check (see schema.js) ────────────────────────────────────
+// Session headers and merged segments are checked against
+// export.schema.json as they are written. Problems don't stop the
+// export; they are counted and the first few reported with the result.
+let schemaCheck = null   // set for one buildExport; exports run one at a time
+
+function createSchemaCheck(schema) {
+  let problems = 0
+  const errors = []
+  return {
+    check(pointer, value, name) {
+      const found = validateSchema(schema, pointer, value, name)
+      problems += found.length
+      errors.push(...found.slice(0, MAX_SCHEMA_ERRORS - errors.length))
+    },
+    result: () => ({ schemaProblems: problems, schemaErrors: errors }),
+  }
+}
+
+// ── Session writers ─────────────────────────────────────────────────
+// The stored session record (startTime, sampling config, ...) plus its
+// page meta and browser events
+async function sessionHeader(session) {
+  const withoutKeys = ({ id, sessionId, ...record }) => record
+  const header = {
+    ...session,
+    ...sessionAnnotation(session),
+    pageMeta: (await dbGetPageMeta(session.sessionId)).map(withoutKeys),
+    browserEvents: (await dbGetBrowserEvents(session.sessionId)).map(withoutKeys),
+  }
+  schemaCheck?.check('#/$defs/sessionHeader', header, `session ${session.sessionId.slice(0, 8)}`)
+  return header
+}
+
+// Walks a session's stored flushes and hands each merged segment, with
+// its sampling quality, to onSegment; returns the merged segment count,
+// per-tab timelines and the session's quality report (see quality.js).
+async function streamMergedSegments(session, advance, onSegment) {
+  const { sessionId } = session
+  let count = 0
+  const timelines = createTabTimelineCollector()
+  const audit = createQualityAudit(session)
+  const merger = createSegmentMerger(seg => {
+    count++
+    timelines.add(seg)
+    seg.quality = audit.addSegment(seg)
+    schemaCheck?.check('#/$defs/segment', seg, `session ${sessionId.slice(0, 8)} segment ${count}`)
+    onSegment(seg)
+  })
+
+  await dbForEachSegmentBatch(sessionId, SEGMENT_BATCH_SIZE, batch => {
+    for (const seg of batch) {
+      audit.addFlush(seg)
+      merger.push(seg)
+    }
+    advance(batch.length)
+  })
+  merger.end()
+
+  const quality = audit.report()
+  schemaCheck?.check('#/$defs/qualityReport', quality, `session ${sessionId.slice(0, 8)} quality`)
+  return { count, tabs: timelines.result(), quality }
+}
+
+// The merged segments alone, for a pass that writes nothing: no schema
+// checks or quality audit, which the writing pass does once
+async function forEachMergedSegment(sessionId, onSegment) {
+  const merger = createSegmentMerger(onSegment)
+  await dbForEachSegmentBatch(sessionId, SEGMENT_BATCH_SIZE, batch => {
+    for (const seg of batch) merger.push(seg)
+  })
+  merger.end()
+}
+
+// { "<sessionId>": { ...header, "segments": [...], "totalSegments": n,
+//   "tabs": [...], "quality": {...} }, ... }
+async function writeJson(writer, sessions, advance, options) {
+  writer.write('{')
+
+  for (let i = 0; i < sessions.length; i++) {
+    const session = sessions[i]
+    const header = await sessionHeader(session)
+
+    // Reopen the header object so segments can be streamed into it
+    writer.write(i === 0 ? '\n' : ',\n')
+    writer.write(`${JSON.stringify(session.sessionId)}: `)
+    writer.write(JSON.stringify(header).slice(0, -1) + ',"segments":[')
+
+    let first = true
+    const { count, tabs, quality } = await streamMergedSegments(session, advance, seg => {
+      writer.write((first ? '\n' : ',\n') + JSON.stringify(withFeatures(seg, options)))
+      first = false
+    })
+
+    writer.write(`\n],"totalSegments":${count},"tabs":${JSON.stringify(tabs)},"quality":${JSON.stringify(quality)}}`)
+  }
+
+  writer.write('\n}\n')
+}
+
+// One line per record: a "session" line, its "segment" lines, then a
+// "tabs" line with the per-tab frame timelines and a "quality" line
+async function writeNdjson(writer, sessions, advance, options) {
+  for (const session of sessions) {
+    const header = await sessionHeader(session)
+    writer.write(JSON.stringify({ kind: 'session', ...header }) + '\n')
+
+    const { tabs, quality } = await streamMergedSegments(session, advance, seg => {
+      writer.write(JSON.stringify({ kind: 'segment', sessionId: session.sessionId, ...withFeatures(seg, options) }) + '\n')
+    })
+    writer.write(JSON.stringify({ kind: 'tabs', sessionId: session.sessionId, tabs }) + '\n')
+    writer.write(JSON.stringify({ kind: 'quality', sessionId: session.sessionId, quality }) + '\n')
+  }
+}
+
+// ── Feature writers (see features.js) ───────────────────────────────
+// Raw exports can carry each segment's feature vector alongside its events
+function withFeatures(seg, options) {
+  return options.includeFeatures ? { ...seg, features: computeSegmentFeatures(seg) } : seg
+}
+
+// Header row, then one row per merged segment
+async function writeFeaturesCsv(writer, sessions, advance) {
+  const columns = [...FEATURE_METADATA_COLUMNS, ...FEATURE_COLUMNS]
+  writer.write(csvLine(columns))
+
+  for (const session of sessions) {
+    await streamMergedSegments(session, advance, seg => {
+      const row = featureRow(session, seg)
+      writer.write(csvLine(columns.map(column => row[column])))
+    })
+  }
+}
+
+// [ { ...metadata, ...features }, ... ]
+async function writeFeaturesJson(writer, sessions, advance) {
+  writer.write('[')
+  let first = true
+  for (const session of sessions) {
+    await streamMergedSegments(session, advance, seg => {
+      writer.write((first ? '\n' : ',\n') + JSON.stringify(featureRow(session, seg)))
+      first = false
+    })
+  }
+  writer.write('\n]\n')
+}
+
+// ── Flat CSV tables, zipped (see zip.js) ────────────────────────────
+// One table per event type, plus browserEvents.csv, pageMeta.csv and
+// quality.csv (one row per session).
+// Every event row repeats where it was recorded; touch events get one
+// row per changed touch point, and `time` is the event's epoch
+// milliseconds (see segmentClock).
+const CSV_CONTEXT_COLUMNS = ['sessionId', 'segmentId', 'tabId', 'frameId', 'url', 'hostname', 'time']
+
+const CSV_EVENT_COLUMNS = {
+  mouse: ['t', 'x', 'y', 'pageX', 'pageY'],
+  clicks: [
+    't', 'x', 'y', 'button', 'dt_since_last',
+    'target_tag', 'target_id', 'target_classes', 'target_name', 'target_type', 'target_text',
+  ],
+  keystrokes: ['t', 'type', 'field', 'category', 'key', 'duration', 'repeat', 'repeatCount', 'dt_since_last'],
+  scroll: ['t', 'scrollX', 'scrollY', 'dx', 'dy', 'dt_since_last', 'source'],
+  pointer: [
+    't', 'type', 'pointerId', 'pointerType', 'isPrimary', 'x', 'y', 'pressure',
+    'tangentialPressure', 'tiltX', 'tiltY', 'twist', 'width', 'height', 'buttons',
+  ],
+  touch: ['t', 'type', 'touchCount', 'id', 'x', 'y', 'radiusX', 'radiusY', 'rotationAngle', 'force'],
+  wheel: ['t', 'x', 'y', 'deltaX', 'deltaY', 'deltaZ', 'deltaMode', 'dt_since_last'],
+  buttons: ['t', 'type', 'button', 'x', 'y', 'duration', 'dt_since_last'],
+  composition: ['t', 'type', 'field', 'length', 'dt_since_last'],
+  navigation: ['t', 'type', 'from', 'to'],
+  markers: ['t', 'label', 'source'],
+}
+
+const CSV_BROWSER_EVENT_COLUMNS = ['sessionId', 'timestamp', 'type', 'tabId', 'windowId', 'url', 'openerTabId', 'isWindowClosing', 'state', 'label', 'source']
+
+const CSV_PAGE_META_COLUMNS = ['sessionId', 'segmentId', 'tabId', 'frameId', 'url', 'hostname', 'frameUrl', 'isTopFrame', 'timeOrigin', 'timestamp']
+
+const CSV_QUALITY_COLUMNS = [
+  'sessionId', 'flushes', 'unsequencedFlushes', 'lostFlushes', 'duplicateFlushes', 'segments', 'duplicateSegments',
+  'sampleIntervalMs', 'mouseSamples', 'meanIntervalMs', 'jitterMs', 'maxIntervalMs', 'gaps', 'gapMs', 'storageErrors', 'droppedWrites',
+]
+
+// { a: 1, b: { c: 2 }, d: [x, y] } → { a: 1, b_c: 2, d: 'x;y' }
+function flattenRecord(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix + key
+    if (Array.isArray(value)) {
+      out[column] = value.join(';')
+    } else if (value && typeof value === 'object') {
+      flattenRecord(value, `${column}_`, out)
+    } else {
+      out[column] = value
+    }
+  }
+  return out
+}
+
+function eventRows(type, event) {
+  if (type === 'touch') {
+    const { points, ...rest } = event
+    return (points || []).map(point => ({ ...rest, ...point }))
+  }
+  return [flattenRecord(event)]
+}
+
+async function writeCsvZip(writer, sessions, advance) {
+  const tables = {}
+  for (const [type, columns] of Object.entries(CSV_EVENT_COLUMNS)) {
+    tables[type] = createZipEntryWriter(`${type}.csv`)
+    tables[type].write(csvLine([...CSV_CONTEXT_COLUMNS, ...columns]))
+  }
+
+  const browserTable = createZipEntryWriter('browserEvents.csv')
+  browserTable.write(csvLine(CSV_BROWSER_EVENT_COLUMNS))
+  const qualityTable = createZipEntryWriter('quality.csv')
+  qualityTable.write(csvLine(CSV_QUALITY_COLUMNS))
+
+  const pageMetaRows = []
+  for (const session of sessions) {
+    for (const meta of await dbGetPageMeta(session.sessionId)) {
+      const { id, ...rest } = meta
+      pageMetaRows.push(flattenRecord(rest))
+    }
+    for (const event of await dbGetBrowserEvents(session.sessionId)) {
+      browserTable.write(csvLine(CSV_BROWSER_EVENT_COLUMNS.map(column => event[column])))
+    }
+
+    const { quality } = await streamMergedSegments(session, advance, seg => {
+      const context = [session.sessionId, seg.segmentId, seg.tabId, seg.frameId, seg.url, seg.hostname]
+      const clock = segmentClock(seg)
+      for (const [type, columns] of Object.entries(CSV_EVENT_COLUMNS)) {
+        for (const event of seg[type] || []) {
+          const time = clock(event.t)
+          for (const row of eventRows(type, event)) {
+            tables[type].write(csvLine([...context, time, ...columns.map(column => row[column])]))
+          }
+        }
+      }
+    })
+    const row = { sessionId: session.sessionId, ...quality }
+    qualityTable.write(csvLine(CSV_QUALITY_COLUMNS.map(column => row[column])))
+  }
+
+  // Page meta columns depend on what the browser reported (client hints,
+  // network info), so they are collected before writing
+  const metaColumns = [...CSV_PAGE_META_COLUMNS]
+  for (const row of pageMetaRows) {
+    for (const column of Object.keys(row)) {
+      if (column !== 'type' && !metaColumns.includes(column)) metaColumns.push(column)
+    }
+  }
+  const pageMetaTable = createZipEntryWriter('pageMeta.csv')
+  pageMetaTable.write(csvLine(metaColumns))
+  for (const row of pageMetaRows) pageMetaTable.write(csvLine(metaColumns.map(column => row[column])))
+
+  const entries = [...Object.values(tables), browserTable, pageMetaTable, qualityTable].map(table => table.finish())
+  for (const part of zipParts(entries)) writer.append(part)
+}
+
+// ── Aligned timeline ────────────────────────────────────────────────
+// Every event of a session in true chronological order across tabs and
+// frames, stamped with epoch milliseconds (see segmentClock). A first
+// pass notes when each merged segment starts; the second pass holds
+// back only the events a segment still to come could precede.
+function segmentStart(seg, clock) {
+  let start = Infinity
+  for (const type of EVENT_TYPES) {
+    for (const event of seg[type] || []) start = Math.min(start, clock(event.t))
+  }
+  return start
+}
+
+// Timeline lines held back, earliest first (by time, then in the order
+// they were queued); a binary heap, so holding back many events costs
+// log n per event rather than a sort per segment
+function createTimelineQueue() {
+  const heap = []
+  const earlier = (a, b) => a.time < b.time || (a.time === b.time && a.order < b.order)
+  const swap = (i, j) => {
+    const line = heap[i]
+    heap[i] = heap[j]
+    heap[j] = line
+  }
+
+  return {
+    get size() { return heap.length },
+    peek: () => heap[0],
+    push(line) {
+      heap.push(line)
+      let i = heap.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (!earlier(heap[i], heap[parent])) break
+        swap(i, parent)
+        i = parent
+      }
+    },
+    pop() {
+      const top = heap[0]
+      const last = heap.pop()
+      if (heap.length === 0) return top
+      heap[0] = last
+      let i = 0
+      for (;;) {
+        let first = i
+        for (const child of [2 * i + 1, 2 * i + 2]) {
+          if (child < heap.length && earlier(heap[child], heap[first])) first = child
+        }
+        if (first === i) return top
+        swap(i, first)
+        i = first
+      }
+    },
+  }
+}
+
+// A "session" line, then one "event" line per event:
+// { kind, sessionId, time, eventType, tabId, frameId, segmentId, url, event }
+// and a closing "quality" line. Browser events (eventType "browser")
+// belong to no frame or segment.
+async function writeTimelineNdjson(writer, sessions, advance) {
+  for (const session of sessions) {
+    // Browser events are interleaved below instead of listed up front
+    const { browserEvents, ...header } = await sessionHeader(session)
+    writer.write(JSON.stringify({ kind: 'session', ...header }) + '\n')
+
+    const starts = []
+    await forEachMergedSegment(session.sessionId, seg => {
+      starts.push(segmentStart(seg, segmentClock(seg)))
+    })
+    // Earliest start among segment i and every segment after it
+    const startsFrom = new Array(starts.length + 1).fill(Infinity)
+    for (let i = starts.length - 1; i >= 0; i--) startsFrom[i] = Math.min(starts[i], startsFrom[i + 1])
+
+    let order = 0
+    const pending = createTimelineQueue()
+    for (const event of browserEvents) {
+      pending.push({
+        order: order++,
+        kind: 'event',
+        sessionId: session.sessionId,
+        time: event.timestamp,
+        eventType: 'browser',
+        tabId: event.tabId,
+        frameId: null,
+        segmentId: null,
+        url: event.url ?? null,
+        event,
+      })
+    }
+    let index = 0
+    const emit = before => {
+      while (pending.size > 0 && pending.peek().time < before) {
+        const { order, ...line } = pending.pop()
+        writer.write(JSON.stringify(line) + '\n')
+      }
+    }
+
+    const { quality } = await streamMergedSegments(session, advance, seg => {
+      const clock = segmentClock(seg)
+      for (const type of EVENT_TYPES) {
+        for (const event of seg[type] || []) {
+          pending.push({
+            order: order++,
+            kind: 'event',
+            sessionId: session.sessionId,
+            time: clock(event.t),
+            eventType: type,
+            tabId: seg.tabId,
+            frameId: seg.frameId,
+            segmentId: seg.segmentId,
+            url: seg.url,
+            event,
+          })
+        }
+      }
+      // Segments stored since the first pass are newer than all of these
+      index++
+      emit(index < startsFrom.length ? startsFrom[index] : Infinity)
+    })
+    emit(Infinity)
+    writer.write(JSON.stringify({ kind: 'quality', sessionId: session.sessionId, quality }) + '\n')
+  }
+}
+
+const FORMAT_WRITERS = {
+  json: writeJson,
+  ndjson: writeNdjson,
+  features_csv: writeFeaturesCsv,
+  features_json: writeFeaturesJson,
+  csv_zip: writeCsvZip,
+  timeline_ndjson: writeTimelineNdjson,
+}
+
+async function buildExport(msg) {
+  const format = EXPORT_FORMATS[msg.format]
+  const writeFormat = FORMAT_WRITERS[msg.format]
+  if (!format || !writeFormat) throw new Error(`Unknown export format: ${msg.format}`)
+
+  const sessions = []
+  for (const sid of msg.sessionIds) {
+    const session = await dbGetSession(sid)
+    if (session) sessions.push(session)
+  }
+
+  const writer = createBlobWriter()
+  const advance = createProgressReporter(msg.exportId, msg.progressBase, msg.progressTotal)
+  schemaCheck = createSchemaCheck(await loadExportSchema())
+  let checked
+  try {
+    await writeFormat(writer, sessions, advance, { includeFeatures: Boolean(msg.includeFeatures) })
+  } finally {
+    checked = schemaCheck.result()
+    schemaCheck = null
+  }
+
+  const blob = writer.finish(format.mimeType)
+  return { success: true, url: URL.createObjectURL(blob), size: blob.size, ...checked }
+}
+
+// ── Message handling ────────────────────────────────────────────────
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.target !== 'offscreen') return false
+
+  switch (msg.type) {
+    case 'offscreen_build_export':
+      buildExport(msg).then(sendResponse).catch(err => {
+        console.error('[TM offscreen] export build error:', err)
+        sendResponse({ success: false, error: err.message })
+      })
+      return true
+
+    case 'offscreen_revoke_url':
+      URL.revokeObjectURL(msg.url)
+      sendResponse({ success: true })
+      return false
+
+    default:
+      return false
+  }
+})
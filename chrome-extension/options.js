@@ -0,0 +1,359 @@
+'use strict'
+
+// ── Shared helpers ──────────────────────────────────────────────────
+function showErrors(listEl, errors) {
+  listEl.replaceChildren(...errors.map(text => {
+    const li = document.createElement('li')
+    li.textContent = text
+    return li
+  }))
+}
+
+function flashSaved(el) {
+  el.textContent = 'Saved'
+  setTimeout(() => { el.textContent = '' }, 1500)
+}
+
+// ── Sampling ────────────────────────────────────────────────────────
+const samplingPresetEl = document.getElementById('samplingPreset')
+const loggableKeysEl = document.getElementById('loggableKeys')
+const samplingErrorsEl = document.getElementById('samplingErrors')
+const samplingSaveBtn = document.getElementById('samplingSaveBtn')
+const samplingSavedEl = document.getElementById('samplingSaved')
+const captureFramesEl = document.getElementById('captureFrames')
+const numericFields = Object.keys(CONFIG_LIMITS).map(name => document.getElementById(name))
+
+function buildSamplingForm() {
+  for (const [name, preset] of Object.entries(CONFIG_PRESETS)) {
+    samplingPresetEl.add(new Option(preset.label, name))
+  }
+  samplingPresetEl.add(new Option('Custom', 'custom'))
+
+  for (const input of numericFields) {
+    const [min, max] = CONFIG_LIMITS[input.id]
+    input.min = min
+    input.max = max
+    input.addEventListener('input', updatePresetSelection)
+  }
+
+  for (const key of LOGGABLE_KEY_CHOICES) {
+    const label = document.createElement('label')
+    label.className = 'checkbox'
+    const box = document.createElement('input')
+    box.type = 'checkbox'
+    box.value = key
+    box.addEventListener('change', updatePresetSelection)
+    label.append(box, key)
+    loggableKeysEl.append(label)
+  }
+}
+
+function readSamplingForm() {
+  const config = {}
+  for (const input of numericFields) config[input.id] = Number(input.value)
+  config.loggableKeys = [...loggableKeysEl.querySelectorAll('input:checked')].map(box => box.value)
+  config.captureFrames = captureFramesEl.checked
+  return config
+}
+
+// Presets only carry PRESET_KEYS; other fields are left untouched
+function fillSamplingForm(config) {
+  for (const input of numericFields) input.value = config[input.id]
+  for (const box of loggableKeysEl.querySelectorAll('input')) {
+    box.checked = config.loggableKeys.includes(box.value)
+  }
+  updatePresetSelection()
+}
+
+function fillStoredConfig(config) {
+  captureFramesEl.checked = config.captureFrames
+  fillSamplingForm(config)
+}
+
+function updatePresetSelection() {
+  samplingPresetEl.value = matchPreset(readSamplingForm()) || 'custom'
+}
+
+samplingPresetEl.addEventListener('change', () => {
+  const preset = CONFIG_PRESETS[samplingPresetEl.value]
+  if (preset) fillSamplingForm(preset.config)
+})
+
+samplingSaveBtn.addEventListener('click', async () => {
+  const { config, errors } = validateConfig(readSamplingForm())
+  showErrors(samplingErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.sync.set({ [CONFIG_STORAGE_KEY]: config })
+  flashSaved(samplingSavedEl)
+})
+
+buildSamplingForm()
+loadConfig().then(fillStoredConfig)
+
+// ── Sites ───────────────────────────────────────────────────────────
+const siteModeEls = document.querySelectorAll('input[name="siteMode"]')
+const siteAllowEl = document.getElementById('siteAllow')
+const siteDenyEl = document.getElementById('siteDeny')
+const siteErrorsEl = document.getElementById('siteErrors')
+const siteSaveBtn = document.getElementById('siteSaveBtn')
+const siteSavedEl = document.getElementById('siteSaved')
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean)
+}
+
+function fillSiteForm(rules) {
+  for (const radio of siteModeEls) radio.checked = radio.value === rules.mode
+  siteAllowEl.value = rules.allow.join('\n')
+  siteDenyEl.value = rules.deny.join('\n')
+}
+
+siteSaveBtn.addEventListener('click', async () => {
+  const checked = [...siteModeEls].find(radio => radio.checked)
+  const { rules, errors } = validateSiteRules({
+    mode: checked ? checked.value : DEFAULT_SITE_RULES.mode,
+    allow: splitLines(siteAllowEl.value),
+    deny: splitLines(siteDenyEl.value),
+  })
+  if (rules.mode === 'allowlist' && rules.allow.length === 0) {
+    errors.push('Allowlist mode needs at least one allowed site')
+  }
+
+  showErrors(siteErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.sync.set({ [SITE_RULES_STORAGE_KEY]: rules })
+  flashSaved(siteSavedEl)
+})
+
+loadSiteRules().then(fillSiteForm)
+
+// Keep in sync with one-click rules added from the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[SITE_RULES_STORAGE_KEY]) {
+    fillSiteForm(validateSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue).rules)
+  }
+})
+
+// ── Privacy ─────────────────────────────────────────────────────────
+const privacyLevelEl = document.getElementById('privacyLevel')
+const privacyPatternsEl = document.getElementById('privacyPatterns')
+const privacyErrorsEl = document.getElementById('privacyErrors')
+const privacySaveBtn = document.getElementById('privacySaveBtn')
+const privacySavedEl = document.getElementById('privacySaved')
+const privacyChoiceEls = document.querySelectorAll('select[data-choice]')
+
+const PRIVACY_CHOICE_LABELS = { keep: 'Keep', hash: 'Hash', strip: 'Remove', drop: 'Remove' }
+
+function buildPrivacyForm() {
+  for (const [name, level] of Object.entries(PRIVACY_LEVELS)) {
+    privacyLevelEl.add(new Option(level.label, name))
+  }
+  privacyLevelEl.add(new Option('Custom', 'custom'))
+
+  for (const select of privacyChoiceEls) {
+    for (const choice of PRIVACY_CHOICES[select.dataset.choice]) {
+      select.add(new Option(PRIVACY_CHOICE_LABELS[choice], choice))
+    }
+    select.addEventListener('change', updatePrivacyLevel)
+  }
+}
+
+function readPrivacyForm() {
+  const settings = { redactPatterns: splitLines(privacyPatternsEl.value) }
+  for (const select of privacyChoiceEls) settings[select.dataset.choice] = select.value
+  return settings
+}
+
+function fillPrivacyChoices(settings) {
+  for (const select of privacyChoiceEls) select.value = settings[select.dataset.choice]
+  updatePrivacyLevel()
+}
+
+function updatePrivacyLevel() {
+  privacyLevelEl.value = matchPrivacyLevel(readPrivacyForm()) || 'custom'
+}
+
+privacyLevelEl.addEventListener('change', () => {
+  const level = PRIVACY_LEVELS[privacyLevelEl.value]
+  if (level) fillPrivacyChoices(level.settings)
+})
+
+privacySaveBtn.addEventListener('click', async () => {
+  const { settings, errors } = validatePrivacy(readPrivacyForm())
+  showErrors(privacyErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.sync.set({ [PRIVACY_STORAGE_KEY]: settings })
+  flashSaved(privacySavedEl)
+})
+
+buildPrivacyForm()
+loadPrivacy().then(settings => {
+  privacyPatternsEl.value = settings.redactPatterns.join('\n')
+  fillPrivacyChoices(settings)
+})
+
+// ── Automatic recording ─────────────────────────────────────────────
+const autoRecordEl = document.getElementById('autoRecord')
+const onStartupEl = document.getElementById('onStartup')
+const recordingWindowsEl = document.getElementById('recordingWindows')
+const pauseOnIdleEl = document.getElementById('pauseOnIdle')
+const idleSecondsEl = document.getElementById('idleSeconds')
+const scheduleErrorsEl = document.getElementById('scheduleErrors')
+const scheduleSaveBtn = document.getElementById('scheduleSaveBtn')
+const scheduleSavedEl = document.getElementById('scheduleSaved')
+
+idleSecondsEl.min = IDLE_SECONDS_LIMITS[0]
+idleSecondsEl.max = IDLE_SECONDS_LIMITS[1]
+
+function fillScheduleForm(settings) {
+  autoRecordEl.checked = settings.autoRecord
+  onStartupEl.value = settings.onStartup
+  recordingWindowsEl.value = settings.windows.join('\n')
+  pauseOnIdleEl.checked = settings.pauseOnIdle
+  idleSecondsEl.value = settings.idleSeconds
+}
+
+scheduleSaveBtn.addEventListener('click', async () => {
+  const { settings, errors } = validateSchedule({
+    autoRecord: autoRecordEl.checked,
+    onStartup: onStartupEl.value,
+    windows: splitLines(recordingWindowsEl.value),
+    pauseOnIdle: pauseOnIdleEl.checked,
+    idleSeconds: Number(idleSecondsEl.value),
+  })
+  showErrors(scheduleErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.local.set({ [SCHEDULE_STORAGE_KEY]: settings })
+  flashSaved(scheduleSavedEl)
+})
+
+loadSchedule().then(fillScheduleForm)
+
+// ── Shortcuts & markers ─────────────────────────────────────────────
+const markerLabelsEl = document.getElementById('markerLabels')
+const shortcutListEl = document.getElementById('shortcutList')
+const editShortcutsBtn = document.getElementById('editShortcutsBtn')
+const markerErrorsEl = document.getElementById('markerErrors')
+const markerSaveBtn = document.getElementById('markerSaveBtn')
+const markerSavedEl = document.getElementById('markerSaved')
+
+async function showShortcuts() {
+  const commands = await chrome.commands.getAll()
+  shortcutListEl.replaceChildren(...commands.filter(command => command.description).map(command => {
+    const li = document.createElement('li')
+    const keys = document.createElement('kbd')
+    keys.textContent = command.shortcut || 'not set'
+    li.append(keys, ` ${command.description}`)
+    return li
+  }))
+}
+
+// Extension pages can't link to chrome:// URLs, but can open them
+editShortcutsBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' })
+})
+
+markerSaveBtn.addEventListener('click', async () => {
+  const { labels, errors } = validateMarkerLabels(splitLines(markerLabelsEl.value))
+  showErrors(markerErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.sync.set({ [MARKER_LABELS_KEY]: labels })
+  flashSaved(markerSavedEl)
+})
+
+loadMarkerLabels().then(labels => { markerLabelsEl.value = labels.join('\n') })
+showShortcuts()
+
+// ── Collector upload ────────────────────────────────────────────────
+const uploadEnabledEl = document.getElementById('uploadEnabled')
+const uploadEndpointEl = document.getElementById('uploadEndpoint')
+const uploadAuthHeaderNameEl = document.getElementById('uploadAuthHeaderName')
+const uploadAuthHeaderValueEl = document.getElementById('uploadAuthHeaderValue')
+const uploadBatchSizeEl = document.getElementById('uploadBatchSize')
+const uploadErrorsEl = document.getElementById('uploadErrors')
+const uploadSaveBtn = document.getElementById('uploadSaveBtn')
+const uploadSavedEl = document.getElementById('uploadSaved')
+
+async function loadUploadSettings() {
+  const settings = await getUploadSettings()
+  uploadEnabledEl.checked = settings.enabled
+  uploadEndpointEl.value = settings.endpoint
+  uploadAuthHeaderNameEl.value = settings.authHeaderName
+  uploadAuthHeaderValueEl.value = settings.authHeaderValue
+  uploadBatchSizeEl.value = settings.batchSize
+}
+
+uploadSaveBtn.addEventListener('click', async () => {
+  const settings = {
+    enabled: uploadEnabledEl.checked,
+    endpoint: uploadEndpointEl.value.trim(),
+    authHeaderName: uploadAuthHeaderNameEl.value.trim() || DEFAULT_UPLOAD_SETTINGS.authHeaderName,
+    authHeaderValue: uploadAuthHeaderValueEl.value,
+    batchSize: Number(uploadBatchSizeEl.value),
+  }
+
+  const errors = validateUploadSettings(settings)
+  showErrors(uploadErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.local.set({ [UPLOAD_SETTINGS_KEY]: settings })
+  flashSaved(uploadSavedEl)
+})
+
+loadUploadSettings()
+
+// ── Storage & retention ─────────────────────────────────────────────
+const storageInfoEl = document.getElementById('storageInfo')
+const evictUnsavedEl = document.getElementById('evictUnsaved')
+const retentionErrorsEl = document.getElementById('retentionErrors')
+const retentionSaveBtn = document.getElementById('retentionSaveBtn')
+const retentionSavedEl = document.getElementById('retentionSaved')
+const retentionFields = Object.keys(RETENTION_LIMITS).map(name => document.getElementById(name))
+
+for (const input of retentionFields) {
+  const [min, max] = RETENTION_LIMITS[input.id]
+  input.min = min
+  input.max = max
+}
+
+function fillRetentionForm(settings) {
+  for (const input of retentionFields) input.value = settings[input.id]
+  evictUnsavedEl.checked = settings.evictUnsaved
+}
+
+async function showStorageInfo() {
+  const storage = await measureStorage(await loadRetention())
+  const result = await chrome.storage.local.get(RETENTION_STATUS_KEY)
+  const status = result[RETENTION_STATUS_KEY]
+
+  let text = `Using ${formatBytes(storage.usage)} of ${formatBytes(storage.limit)} (${Math.floor(storage.percent)}%).`
+  if (status && status.lastEvictedAt) {
+    text += ` Last rotation deleted ${status.lastEvictedCount} session(s) on ${new Date(status.lastEvictedAt).toLocaleString()}.`
+  }
+  storageInfoEl.textContent = text
+}
+
+retentionSaveBtn.addEventListener('click', async () => {
+  const raw = { evictUnsaved: evictUnsavedEl.checked }
+  for (const input of retentionFields) raw[input.id] = Number(input.value)
+
+  const { settings, errors } = validateRetention(raw)
+  showErrors(retentionErrorsEl, errors)
+  if (errors.length > 0) return
+
+  await chrome.storage.local.set({ [RETENTION_STORAGE_KEY]: settings })
+  flashSaved(retentionSavedEl)
+})
+
+loadRetention().then(fillRetentionForm)
+showStorageInfo()
+
+// The background rotates sessions when the settings change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[RETENTION_STATUS_KEY]) showStorageInfo()
+})
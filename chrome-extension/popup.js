@@ -3,16 +3,57 @@
 const statusDot = document.getElementById('statusDot')
 const statusText = document.getElementById('statusText')
 const toggleBtn = document.getElementById('toggleBtn')
+const resumeBtn = document.getElementById('resumeBtn')
 const exportBtn = document.getElementById('exportBtn')
 const clearBtn = document.getElementById('clearBtn')
+const exportFormatEl = document.getElementById('exportFormat')
+const exportPerSessionEl = document.getElementById('exportPerSession')
+const exportIncludeFeaturesEl = document.getElementById('exportIncludeFeatures')
 const sessionIdDisplay = document.getElementById('sessionIdDisplay')
 const segmentCountEl = document.getElementById('segmentCount')
 const mouseCountEl = document.getElementById('mouseCount')
 const clickCountEl = document.getElementById('clickCount')
 const keystrokeCountEl = document.getElementById('keystrokeCount')
 const scrollCountEl = document.getElementById('scrollCount')
+const pointerCountEl = document.getElementById('pointerCount')
+const touchCountEl = document.getElementById('touchCount')
+const wheelCountEl = document.getElementById('wheelCount')
+const buttonCountEl = document.getElementById('buttonCount')
+const compositionCountEl = document.getElementById('compositionCount')
+const navigationCountEl = document.getElementById('navigationCount')
+const markerCountEl = document.getElementById('markerCount')
+const markerPanel = document.getElementById('markerPanel')
+const markerLabelEl = document.getElementById('markerLabel')
+const markerBtn = document.getElementById('markerBtn')
+const uploadPanel = document.getElementById('uploadPanel')
+const uploadPendingCountEl = document.getElementById('uploadPendingCount')
+const uploadedCountEl = document.getElementById('uploadedCount')
+const uploadErrorRow = document.getElementById('uploadErrorRow')
+const uploadErrorEl = document.getElementById('uploadError')
+const storageUsageEl = document.getElementById('storageUsage')
+const storageWarningRow = document.getElementById('storageWarningRow')
+const storageWarningEl = document.getElementById('storageWarning')
+const openOptionsLink = document.getElementById('openOptions')
+const openSessionsLink = document.getElementById('openSessions')
+const tabStateEl = document.getElementById('tabState')
+const siteRuleBtn = document.getElementById('siteRuleBtn')
+const tabsPanel = document.getElementById('tabsPanel')
+const tabsSummaryEl = document.getElementById('tabsSummary')
+const tabListEl = document.getElementById('tabList')
+const annotationPanel = document.getElementById('annotationPanel')
+const sessionLabelEl = document.getElementById('sessionLabel')
+const participantIdEl = document.getElementById('participantId')
+const sessionTagsEl = document.getElementById('sessionTags')
+const sessionNoteEl = document.getElementById('sessionNote')
+const annotationStatusEl = document.getElementById('annotationStatus')
+const saveAnnotationBtn = document.getElementById('saveAnnotationBtn')
 
 let isRecording = false
+let isExporting = false
+let uploadedCount = 0
+let activeTabUrl = null
+let annotatedSessionId = null
+let liveTabStates = new Map()   // tabId -> state from the last tab status poll
 
 function formatNumber(n) {
   if (n >= 1000000) return (n / 1000000).toFixed(1) + 'M'
@@ -20,12 +61,61 @@ function formatNumber(n) {
   return String(n)
 }
 
+const PAUSE_REASON_TEXT = {
+  'storage-full': 'Paused — storage full',
+  'write-failed': 'Paused — storage write failed',
+  'idle': 'Paused — computer idle',
+  'locked': 'Paused — screen locked',
+  'manual': 'Paused',
+}
+
+function isStoragePause(reason) {
+  return reason === 'storage-full' || reason === 'write-failed'
+}
+
+// Idle / lock pauses end by themselves when the user is back
+function isResumablePause(reason) {
+  return Boolean(reason) && reason !== 'idle' && reason !== 'locked'
+}
+
+function showStorageWarning(text) {
+  storageWarningRow.classList.toggle('hidden', !text)
+  storageWarningEl.textContent = text || ''
+  storageWarningEl.title = text || ''
+}
+
+function updateStorage(status) {
+  const storage = status.storage
+  if (!storage) return
+  storageUsageEl.textContent = `${formatBytes(storage.usage)} / ${formatBytes(storage.limit)} (${Math.floor(storage.percent)}%)`
+  storageUsageEl.className = 'stat-value' + (storage.level === 'ok' ? '' : ` storage-${storage.level}`)
+
+  if (isStoragePause(status.pauseReason)) {
+    const held = status.heldWrites ? ` ${status.heldWrites} unsaved flush(es) are held until then.` : ''
+    showStorageWarning(`Recording paused. Free up space under Sessions (export, then delete old ones), then resume.${held}`)
+  } else if (storage.level !== 'ok') {
+    showStorageWarning(`Storage is ${Math.floor(storage.percent)}% full — export or delete old sessions`)
+  } else {
+    showStorageWarning(null)
+  }
+}
+
+function showExportProgress(progress) {
+  const pct = progress.total > 0 ? Math.floor((progress.done / progress.total) * 100) : 0
+  exportBtn.textContent = `Exporting ${pct}%`
+}
+
 function updateUI(status) {
   isRecording = status.recording
 
   if (isRecording) {
-    statusDot.className = 'status-dot recording'
-    statusText.textContent = 'Recording'
+    if (status.pauseReason) {
+      statusDot.className = 'status-dot paused'
+      statusText.textContent = PAUSE_REASON_TEXT[status.pauseReason] || 'Paused'
+    } else {
+      statusDot.className = 'status-dot recording'
+      statusText.textContent = 'Recording'
+    }
     toggleBtn.textContent = 'Stop Recording'
     toggleBtn.className = 'btn btn-stop'
     exportBtn.disabled = true
@@ -38,6 +128,17 @@ function updateUI(status) {
     exportBtn.disabled = false
     clearBtn.disabled = false
   }
+  resumeBtn.classList.toggle('hidden', !(isRecording && isResumablePause(status.pauseReason)))
+  markerPanel.classList.toggle('hidden', !(isRecording && !status.pauseReason))
+
+  // An export keeps running in the background after the popup closes
+  if (status.exportProgress) {
+    exportBtn.disabled = true
+    clearBtn.disabled = true
+    showExportProgress(status.exportProgress)
+  } else if (!isExporting) {
+    exportBtn.textContent = 'Export'
+  }
 
   if (status.sessionId) {
     sessionIdDisplay.textContent = status.sessionId.slice(0, 8) + '...'
@@ -45,19 +146,251 @@ function updateUI(status) {
   } else {
     sessionIdDisplay.textContent = '—'
   }
+  // Only reload the form when the session changes, so the periodic
+  // refresh never overwrites an edit in progress
+  if (status.sessionId !== annotatedSessionId) loadAnnotation(status.sessionId)
 
   segmentCountEl.textContent = formatNumber(status.segmentCount || 0)
   mouseCountEl.textContent = formatNumber(status.totalEvents?.mouse || 0)
   clickCountEl.textContent = formatNumber(status.totalEvents?.clicks || 0)
   keystrokeCountEl.textContent = formatNumber(status.totalEvents?.keystrokes || 0)
   scrollCountEl.textContent = formatNumber(status.totalEvents?.scroll || 0)
+  pointerCountEl.textContent = formatNumber(status.totalEvents?.pointer || 0)
+  touchCountEl.textContent = formatNumber(status.totalEvents?.touch || 0)
+  wheelCountEl.textContent = formatNumber(status.totalEvents?.wheel || 0)
+  buttonCountEl.textContent = formatNumber(status.totalEvents?.buttons || 0)
+  compositionCountEl.textContent = formatNumber(status.totalEvents?.composition || 0)
+  navigationCountEl.textContent = formatNumber(status.totalEvents?.navigation || 0)
+  markerCountEl.textContent = formatNumber(status.totalEvents?.markers || 0)
+
+  updateStorage(status)
+
+  const upload = status.upload || { enabled: false }
+  uploadPanel.classList.toggle('hidden', !upload.enabled)
+  uploadedCount = upload.enabled ? upload.uploaded : 0
+  if (upload.enabled) {
+    uploadPendingCountEl.textContent = formatNumber(upload.pending)
+    uploadedCountEl.textContent = formatNumber(upload.uploaded)
+    uploadErrorRow.classList.toggle('hidden', !upload.lastError)
+    uploadErrorEl.textContent = upload.lastError || ''
+    uploadErrorEl.title = upload.lastError || ''
+  }
+}
+
+// ── Current tab vs. site rules ──────────────────────────────────────
+const TAB_STATE_TEXT = {
+  restricted: 'Browser page — never recorded',
+  denylisted: 'Blocked by site rules',
+  'not-allowlisted': 'Not on the allowlist',
 }
 
+async function updateTabState() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+  activeTabUrl = tab ? tab.url : null
+
+  const rules = await loadSiteRules()
+  const decision = siteRuleDecision(activeTabUrl, rules)
+
+  const liveState = tab ? liveTabStates.get(tab.id) : undefined
+  if (decision.allowed && isRecording && liveState) {
+    tabStateEl.textContent = TAB_LIVE_TEXT[liveState]
+    tabStateEl.className = 'tab-state' + (liveState === 'active' ? ' active' : '')
+  } else if (decision.allowed) {
+    tabStateEl.textContent = isRecording ? 'Recording' : 'Will record'
+    tabStateEl.className = 'tab-state' + (isRecording ? ' active' : '')
+  } else {
+    tabStateEl.textContent = TAB_STATE_TEXT[decision.reason]
+    tabStateEl.className = 'tab-state excluded'
+  }
+
+  // One-click rule for the current hostname
+  siteRuleBtn.classList.toggle('hidden', decision.reason === 'restricted')
+  if (decision.reason === 'denylisted') {
+    siteRuleBtn.textContent = 'Unblock site'
+  } else if (decision.reason === 'not-allowlisted') {
+    siteRuleBtn.textContent = 'Allow site'
+  } else {
+    siteRuleBtn.textContent = 'Block site'
+  }
+  siteRuleBtn.dataset.action = decision.reason
+}
+
+siteRuleBtn.addEventListener('click', async () => {
+  const hostname = new URL(activeTabUrl).hostname
+  const rules = await loadSiteRules()
+
+  if (siteRuleBtn.dataset.action === 'denylisted') {
+    // Drop every deny pattern that matches this page
+    rules.deny = rules.deny.filter(p => !matchesSitePattern(activeTabUrl, p))
+  } else if (siteRuleBtn.dataset.action === 'not-allowlisted') {
+    rules.allow.push(hostname)
+  } else {
+    rules.deny.push(hostname)
+  }
+
+  await chrome.storage.sync.set({ [SITE_RULES_STORAGE_KEY]: rules })
+  updateTabState()
+})
+
+// ── Live tab status ─────────────────────────────────────────────────
+// Every tab the site rules allow, as its content script reports it:
+// state, current segment, buffered events and events per second over the
+// last half minute. Tabs open since before the extension loaded have no
+// content script and can be injected from here.
+const TAB_LIVE_TEXT = {
+  active: 'Recording',
+  idle: 'Idle',
+  hidden: 'In background',
+  stopped: 'Not recording',
+  'not-injected': 'Not injected — reload or inject',
+}
+const SPARKLINE_SECONDS = 30
+
+function drawSparkline(canvas, values) {
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  if (values.length < 2) return
+
+  const max = Math.max(...values, 1)
+  const step = canvas.width / (SPARKLINE_SECONDS - 1)
+  const offset = SPARKLINE_SECONDS - values.length
+  ctx.strokeStyle = '#228be6'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  values.forEach((value, i) => {
+    const x = (offset + i) * step
+    const y = canvas.height - 1 - (value / max) * (canvas.height - 2)
+    if (i === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.stroke()
+}
+
+function injectTab(tabId, button) {
+  button.disabled = true
+  button.textContent = 'Injecting…'
+  chrome.runtime.sendMessage({ type: 'popup_inject_tab', tabId }, (result) => {
+    if (result && !result.success) {
+      button.textContent = result.error || 'Injection failed'
+      button.title = result.error || ''
+    }
+    setTimeout(fetchStatus, 500)
+  })
+}
+
+function tabStatusRow(tab) {
+  const li = document.createElement('li')
+  li.className = 'tab-live'
+
+  const dot = document.createElement('span')
+  dot.className = 'tab-live-dot'
+  dot.dataset.state = tab.state
+  const title = document.createElement('span')
+  title.className = 'tab-live-title'
+  title.textContent = tab.title
+  title.title = tab.title
+  const sparkline = document.createElement('canvas')
+  sparkline.width = 48
+  sparkline.height = 14
+  drawSparkline(sparkline, tab.eventRates || [])
+
+  const detail = document.createElement('div')
+  detail.className = 'tab-live-detail'
+  const text = document.createElement('span')
+  detail.append(text)
+  if (tab.state === 'not-injected') {
+    text.textContent = 'Not injected'
+    const button = document.createElement('button')
+    button.className = 'btn btn-link'
+    button.textContent = 'Inject & start'
+    button.addEventListener('click', () => injectTab(tab.tabId, button))
+    detail.append(button)
+  } else {
+    const buffered = Object.values(tab.bufferSizes || {}).reduce((sum, n) => sum + n, 0)
+    const rate = (tab.eventRates || []).at(-1) ?? 0
+    text.textContent = tab.state === 'stopped'
+      ? TAB_LIVE_TEXT.stopped
+      : `${TAB_LIVE_TEXT[tab.state]} · segment ${tab.segmentId} · ${buffered} buffered · ${rate}/s`
+  }
+
+  li.append(dot, title, sparkline, detail)
+  return li
+}
+
+function fetchTabStatuses() {
+  chrome.runtime.sendMessage({ type: 'popup_get_tab_statuses' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) return
+    const tabs = response.tabs
+    liveTabStates = new Map(tabs.map(tab => [tab.tabId, tab.state]))
+
+    tabsPanel.classList.toggle('hidden', tabs.length === 0)
+    const recordingCount = tabs.filter(tab => ['active', 'idle', 'hidden'].includes(tab.state)).length
+    tabsSummaryEl.textContent = `${recordingCount} of ${tabs.length} recording`
+    // Focused tab first
+    tabs.sort((a, b) => Number(b.active) - Number(a.active))
+    tabListEl.replaceChildren(...tabs.map(tabStatusRow))
+    updateTabState()
+  })
+}
+
+// ── Label / note for the current (or last) session ──────────────────
+function showAnnotationStatus(text, ok) {
+  annotationStatusEl.textContent = text
+  annotationStatusEl.title = text
+  annotationStatusEl.classList.toggle('annotation-status-ok', ok)
+}
+
+function loadAnnotation(sid) {
+  annotatedSessionId = sid
+  annotationPanel.classList.add('hidden')
+  if (!sid) return
+
+  // Hidden until loaded; stays hidden if the session was cleared
+  chrome.runtime.sendMessage({ type: 'get_session_annotation', sessionId: sid }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) return
+    annotationPanel.classList.remove('hidden')
+    const annotation = response.annotation
+    sessionLabelEl.value = annotation.label
+    participantIdEl.value = annotation.participantId || ''
+    sessionTagsEl.value = annotation.tags.join(', ')
+    sessionNoteEl.value = annotation.note
+    showAnnotationStatus('', false)
+  })
+}
+
+saveAnnotationBtn.addEventListener('click', () => {
+  if (!annotatedSessionId) return
+  const { annotation, errors } = validateAnnotation({
+    label: sessionLabelEl.value,
+    participantId: participantIdEl.value,
+    tags: sessionTagsEl.value,
+    note: sessionNoteEl.value,
+  })
+  if (errors.length > 0) {
+    showAnnotationStatus(errors[0], false)
+    return
+  }
+
+  saveAnnotationBtn.disabled = true
+  const request = { type: 'annotate_session', sessionId: annotatedSessionId, annotation }
+  chrome.runtime.sendMessage(request, (result) => {
+    saveAnnotationBtn.disabled = false
+    if (result && result.success) {
+      sessionTagsEl.value = result.annotation.tags.join(', ')
+      showAnnotationStatus('Saved', true)
+    } else {
+      showAnnotationStatus(result?.error || 'Save failed', false)
+    }
+  })
+})
+
 function fetchStatus() {
   chrome.runtime.sendMessage({ type: 'popup_get_status' }, (response) => {
     if (chrome.runtime.lastError) return
     if (response) updateUI(response)
+    updateTabState()
   })
+  fetchTabStatuses()
 }
 
 // Toggle recording
@@ -72,33 +405,106 @@ toggleBtn.addEventListener('click', () => {
   })
 })
 
+resumeBtn.addEventListener('click', () => {
+  resumeBtn.disabled = true
+  chrome.runtime.sendMessage({ type: 'popup_resume' }, (result) => {
+    resumeBtn.disabled = false
+    if (result && !result.success) showStorageWarning(result.error)
+    setTimeout(fetchStatus, 300)
+  })
+})
+
+// ── Markers ─────────────────────────────────────────────────────────
+// The chosen label is remembered and used by the add-marker shortcut
+async function loadMarkerChoices() {
+  const labels = await loadMarkerLabels()
+  const result = await chrome.storage.local.get(MARKER_SHORTCUT_LABEL_KEY)
+  markerLabelEl.replaceChildren(new Option('No label', ''), ...labels.map(label => new Option(label, label)))
+  markerLabelEl.value = labels.includes(result[MARKER_SHORTCUT_LABEL_KEY]) ? result[MARKER_SHORTCUT_LABEL_KEY] : ''
+}
+
+markerLabelEl.addEventListener('change', () => {
+  chrome.storage.local.set({ [MARKER_SHORTCUT_LABEL_KEY]: markerLabelEl.value || null })
+})
+
+markerBtn.addEventListener('click', () => {
+  markerBtn.disabled = true
+  const request = { type: 'popup_add_marker', label: markerLabelEl.value || null }
+  chrome.runtime.sendMessage(request, (result) => {
+    markerBtn.disabled = false
+    markerBtn.textContent = result && result.success ? 'Marker added' : (result?.error || 'Marker failed')
+    setTimeout(() => { markerBtn.textContent = 'Add marker' }, 1500)
+    setTimeout(fetchStatus, 300)
+  })
+})
+
+loadMarkerChoices()
+
+// Only the JSON / NDJSON formats carry segments to add features to
+exportFormatEl.addEventListener('change', () => {
+  exportIncludeFeaturesEl.disabled = !['json', 'ndjson'].includes(exportFormatEl.value)
+})
+
 // Export
 exportBtn.addEventListener('click', () => {
+  isExporting = true
   exportBtn.disabled = true
   exportBtn.textContent = 'Exporting...'
 
-  chrome.runtime.sendMessage({ type: 'popup_export' }, (result) => {
+  const request = {
+    type: 'popup_export',
+    format: exportFormatEl.value,
+    perSession: exportPerSessionEl.checked,
+    includeFeatures: exportIncludeFeaturesEl.checked,
+  }
+
+  chrome.runtime.sendMessage(request, (result) => {
+    isExporting = false
     exportBtn.disabled = false
-    exportBtn.textContent = 'Export JSON'
+    exportBtn.textContent = 'Export'
 
     if (result && !result.success) {
       exportBtn.textContent = result.error || 'Export failed'
-      setTimeout(() => { exportBtn.textContent = 'Export JSON' }, 2000)
+      setTimeout(() => { exportBtn.textContent = 'Export' }, 2000)
+    } else if (result && result.schemaProblems > 0) {
+      // The file is still written; the background console lists the problems
+      exportBtn.textContent = `Exported (${formatNumber(result.schemaProblems)} schema problems)`
+      setTimeout(() => { exportBtn.textContent = 'Export' }, 4000)
     }
   })
 })
 
+// Progress broadcast by the offscreen export builder
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type === 'export_progress') showExportProgress(msg)
+})
+
 // Clear
 clearBtn.addEventListener('click', () => {
-  if (!confirm('Clear all stored telemetry data? This cannot be undone.')) return
+  let syncedOnly = false
+  if (uploadedCount > 0) {
+    syncedOnly = confirm(`Delete only the ${formatNumber(uploadedCount)} segment flushes already uploaded to the collector?\n\nCancel to choose whether to clear everything instead.`)
+  }
+  if (!syncedOnly && !confirm('Clear all stored telemetry data? This cannot be undone.')) return
 
   clearBtn.disabled = true
-  chrome.runtime.sendMessage({ type: 'popup_clear' }, () => {
+  chrome.runtime.sendMessage({ type: 'popup_clear', syncedOnly }, () => {
     clearBtn.disabled = false
+    annotatedSessionId = undefined   // re-check whether the session survived
     fetchStatus()
   })
 })
 
+openOptionsLink.addEventListener('click', (event) => {
+  event.preventDefault()
+  chrome.runtime.openOptionsPage()
+})
+
+openSessionsLink.addEventListener('click', (event) => {
+  event.preventDefault()
+  chrome.tabs.create({ url: chrome.runtime.getURL('sessions.html') })
+})
+
 // Initial fetch + periodic refresh while popup is open
 fetchStatus()
 setInterval(fetchStatus, 2000)
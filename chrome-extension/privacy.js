@@ -0,0 +1,253 @@
+// TicketMonarch Telemetry Collector — Privacy Redaction
+// Shared by the content script, the background worker and the options
+// page. Rewrites URLs, hostnames and click target details before they
+// leave the page. Hashes are salted with a random per-install value so
+// they can be joined within one machine's data but not looked up
+// against a list of known sites or strings.
+//
+// Hashing is a plain-JS SHA-256: crypto.subtle is async and missing on
+// http:// pages, and redaction has to run synchronously inside a flush.
+
+'use strict'
+
+const PRIVACY_STORAGE_KEY = 'privacySettings'   // chrome.storage.sync
+const PRIVACY_SALT_KEY = 'privacySalt'          // chrome.storage.local, never exported
+const MAX_REDACTION_RULES = 50
+const MAX_REDACTION_PATTERN_LENGTH = 200
+const REDACTED_TEXT = '[redacted]'
+
+// Allowed values per setting, least private first
+const PRIVACY_CHOICES = {
+  query: ['keep', 'hash', 'strip'],
+  fragment: ['keep', 'hash', 'strip'],
+  hostname: ['keep', 'hash'],
+  clickText: ['keep', 'hash', 'drop'],
+  targetNames: ['keep', 'hash', 'drop'],   // element id / class / name, keystroke field
+}
+
+const PRIVACY_LEVELS = {
+  off: {
+    label: 'Off — record as-is',
+    settings: { query: 'keep', fragment: 'keep', hostname: 'keep', clickText: 'keep', targetNames: 'keep' },
+  },
+  standard: {
+    label: 'Standard',
+    settings: { query: 'hash', fragment: 'strip', hostname: 'keep', clickText: 'hash', targetNames: 'keep' },
+  },
+  strict: {
+    label: 'Strict',
+    settings: { query: 'strip', fragment: 'strip', hostname: 'hash', clickText: 'drop', targetNames: 'hash' },
+  },
+}
+
+const DEFAULT_PRIVACY = {
+  ...PRIVACY_LEVELS.standard.settings,
+  redactPatterns: [],   // regular expressions (case-insensitive); matches become [redacted]
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+// Returns { settings, errors }; invalid fields fall back to their default
+function validatePrivacy(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const settings = { ...DEFAULT_PRIVACY }
+  const errors = []
+
+  for (const [name, choices] of Object.entries(PRIVACY_CHOICES)) {
+    if (input[name] === undefined) continue
+    if (!choices.includes(input[name])) {
+      errors.push(`${name} must be one of ${choices.join(', ')}`)
+    } else {
+      settings[name] = input[name]
+    }
+  }
+
+  if (input.redactPatterns !== undefined) {
+    if (!Array.isArray(input.redactPatterns)) {
+      errors.push('redactPatterns must be a list of regular expressions')
+    } else {
+      const patterns = []
+      for (const pattern of input.redactPatterns) {
+        if (typeof pattern !== 'string' || !pattern.trim()) continue
+        if (pattern.length > MAX_REDACTION_PATTERN_LENGTH) {
+          errors.push(`Redaction pattern is longer than ${MAX_REDACTION_PATTERN_LENGTH} characters: ${pattern.slice(0, 40)}…`)
+          continue
+        }
+        let re
+        try {
+          re = new RegExp(pattern, 'i')
+        } catch {
+          errors.push(`Not a valid regular expression: ${pattern}`)
+          continue
+        }
+        if (re.test('')) {
+          errors.push(`Redaction pattern matches empty text: ${pattern}`)
+          continue
+        }
+        if (!patterns.includes(pattern)) patterns.push(pattern)
+      }
+      if (patterns.length > MAX_REDACTION_RULES) {
+        errors.push(`At most ${MAX_REDACTION_RULES} redaction patterns are allowed`)
+      }
+      settings.redactPatterns = patterns.slice(0, MAX_REDACTION_RULES)
+    }
+  }
+
+  return { settings, errors }
+}
+
+// Name of the level the settings match, or null for custom
+function matchPrivacyLevel(settings) {
+  for (const [name, level] of Object.entries(PRIVACY_LEVELS)) {
+    if (Object.keys(PRIVACY_CHOICES).every(key => level.settings[key] === settings[key])) return name
+  }
+  return null
+}
+
+// What the session record keeps: the choices, not the patterns
+// themselves (they may name the very strings being redacted)
+function privacySummary(settings) {
+  const summary = { level: matchPrivacyLevel(settings) || 'custom' }
+  for (const key of Object.keys(PRIVACY_CHOICES)) summary[key] = settings[key]
+  summary.redactionRules = settings.redactPatterns.length
+  return summary
+}
+
+async function loadPrivacy() {
+  const result = await chrome.storage.sync.get(PRIVACY_STORAGE_KEY)
+  return validatePrivacy(result[PRIVACY_STORAGE_KEY]).settings
+}
+
+// Created on first use; the background worker does this at startup
+async function loadPrivacySalt() {
+  const result = await chrome.storage.local.get(PRIVACY_SALT_KEY)
+  if (result[PRIVACY_SALT_KEY]) return result[PRIVACY_SALT_KEY]
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  const salt = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('')
+  await chrome.storage.local.set({ [PRIVACY_SALT_KEY]: salt })
+  return salt
+}
+
+// ── SHA-256 ─────────────────────────────────────────────────────────
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+])
+
+function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text)
+  const padded = new Uint8Array(((bytes.length + 9 + 63) >> 6) << 6)
+  padded.set(bytes)
+  padded[bytes.length] = 0x80
+  const view = new DataView(padded.buffer)
+  const bits = bytes.length * 8
+  view.setUint32(padded.length - 8, Math.floor(bits / 2 ** 32))
+  view.setUint32(padded.length - 4, bits >>> 0)
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ])
+  const w = new Uint32Array(64)
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4)
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+      h = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+    hash[0] += a
+    hash[1] += b
+    hash[2] += c
+    hash[3] += d
+    hash[4] += e
+    hash[5] += f
+    hash[6] += g
+    hash[7] += h
+  }
+  return [...hash].map(x => x.toString(16).padStart(8, '0')).join('')
+}
+
+// ── Redaction ───────────────────────────────────────────────────────
+// Returns { url, hostname, text, name } functions for one set of
+// settings. Hashes look like `h-` + 16 hex digits, which is also a valid
+// hostname label.
+function createRedactor(settings, salt) {
+  const patterns = settings.redactPatterns.map(p => new RegExp(p, 'gi'))
+  const hashes = new Map()
+
+  function hash(value) {
+    if (!hashes.has(value)) {
+      if (hashes.size >= 1000) hashes.clear()
+      hashes.set(value, 'h-' + sha256Hex(`${salt}\n${value}`).slice(0, 16))
+    }
+    return hashes.get(value)
+  }
+
+  function applyPatterns(text) {
+    return patterns.reduce((out, re) => out.replace(re, REDACTED_TEXT), text)
+  }
+
+  function byChoice(choice, value) {
+    if (typeof value !== 'string' || value === '') return value
+    if (choice === 'drop') return null
+    if (choice === 'hash') return hash(value)
+    return applyPatterns(value)
+  }
+
+  function hostname(value) {
+    if (!value || settings.hostname === 'keep') return value
+    return hash(value.toLowerCase())
+  }
+
+  // Credentials in the URL are always dropped
+  function url(value) {
+    if (!value) return value
+    let parsed
+    try { parsed = new URL(value) } catch { return applyPatterns(value) }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return applyPatterns(value)
+
+    const host = hostname(parsed.hostname) + (parsed.port ? `:${parsed.port}` : '')
+    let search = ''
+    if (parsed.search && settings.query === 'keep') {
+      search = applyPatterns(parsed.search)
+    } else if (parsed.search && settings.query === 'hash') {
+      const params = [...parsed.searchParams].map(([key, val]) =>
+        `${encodeURIComponent(applyPatterns(key))}=${val ? hash(val) : ''}`)
+      search = '?' + params.join('&')
+    }
+    let fragment = ''
+    if (parsed.hash && settings.fragment === 'keep') fragment = applyPatterns(parsed.hash)
+    else if (parsed.hash && settings.fragment === 'hash') fragment = '#' + hash(parsed.hash.slice(1))
+
+    return `${parsed.protocol}//${host}${applyPatterns(parsed.pathname)}${search}${fragment}`
+  }
+
+  return {
+    url,
+    hostname,
+    text: value => byChoice(settings.clickText, value),
+    name: value => byChoice(settings.targetNames, value),
+  }
+}
@@ -0,0 +1,202 @@
+// TicketMonarch Telemetry Collector — Data Quality
+// Shared by the export builder and the session manager. Content scripts
+// number every flush that carries events, counting from 1 per frame and
+// recording run (seq, seqStream), so the stored flushes show what never
+// arrived or arrived twice. Merged segments are checked for mouse
+// sampling jitter and gaps (throttled timers in background tabs, a busy
+// main thread). The background worker adds what storage can't show: the
+// duplicate flushes it dropped and the writes that failed, kept as the
+// session's qualityEvents, and the uploaded flushes deleted on purpose,
+// kept as the session's deletedFlushes.
+
+'use strict'
+
+// A mouse sample interval this many times the configured one is a gap
+const QUALITY_GAP_FACTOR = 3
+
+// Mouse sample intervals of one merged segment. Mean and jitter (the
+// standard deviation) cover the regular intervals; gaps are counted
+// apart so one long stall doesn't read as jitter.
+function segmentQuality(seg, sampleIntervalMs) {
+  const mouse = seg.mouse || []
+  const limit = sampleIntervalMs * QUALITY_GAP_FACTOR
+  const stats = { count: 0, sum: 0, sumSquares: 0 }
+  let gaps = 0
+  let gapMs = 0
+  let maxIntervalMs = null
+
+  for (let i = 1; i < mouse.length; i++) {
+    const interval = mouse[i].t - mouse[i - 1].t
+    maxIntervalMs = Math.max(maxIntervalMs ?? interval, interval)
+    if (interval > limit) {
+      gaps++
+      gapMs += interval - sampleIntervalMs
+    } else {
+      stats.count++
+      stats.sum += interval
+      stats.sumSquares += interval * interval
+    }
+  }
+
+  return {
+    mouseSamples: mouse.length,
+    ...intervalSummary(stats),
+    maxIntervalMs: roundMs(maxIntervalMs),
+    gaps,
+    gapMs: Math.round(gapMs),
+    stats,
+  }
+}
+
+function roundMs(ms) {
+  return ms === null ? null : Math.round(ms * 10) / 10
+}
+
+function intervalSummary({ count, sum, sumSquares }) {
+  if (count === 0) return { meanIntervalMs: null, jitterMs: null }
+  const mean = sum / count
+  return {
+    meanIntervalMs: roundMs(mean),
+    jitterMs: roundMs(Math.sqrt(Math.max(0, sumSquares / count - mean * mean))),
+  }
+}
+
+// Flush numbering restarts per content-script run, and merged sessions
+// keep each source's flushes apart
+function flushStreamKey(record) {
+  return `${record.mergedFrom ?? ''}:${record.tabId ?? null}:${record.frameId ?? 0}:${record.seqStream}`
+}
+
+// ── Deleted flushes ─────────────────────────────────────────────────
+// "Delete only uploaded" removes acknowledged flushes. Their numbers are
+// kept on the session as ranges per stream, so the audit can tell them
+// from flushes that never arrived:
+// { timestamp, mergedFrom, tabId, frameId, seqStream, from, to }
+function deletedFlushRanges(records, timestamp) {
+  const streams = new Map()   // stream key → { record, seqs }
+  for (const record of records) {
+    if (typeof record.seq !== 'number' || !record.seqStream) continue
+    const key = flushStreamKey(record)
+    if (!streams.has(key)) streams.set(key, { record, seqs: [] })
+    streams.get(key).seqs.push(record.seq)
+  }
+
+  const ranges = []
+  for (const { record, seqs } of streams.values()) {
+    seqs.sort((a, b) => a - b)
+    let from = seqs[0]
+    for (let i = 1; i <= seqs.length; i++) {
+      if (i < seqs.length && seqs[i] <= seqs[i - 1] + 1) continue
+      ranges.push({
+        timestamp,
+        mergedFrom: record.mergedFrom ?? null,
+        tabId: record.tabId ?? null,
+        frameId: record.frameId ?? 0,
+        seqStream: record.seqStream,
+        from,
+        to: seqs[i - 1],
+      })
+      from = seqs[i]
+    }
+  }
+  return ranges
+}
+
+// ── Session audit ───────────────────────────────────────────────────
+// Push every stored flush (addFlush) and every merged segment
+// (addSegment, which returns that segment's quality); report() sums it
+// up. Flushes stored before sequence numbers existed, imported and
+// merged records are counted as unsequenced and can't show losses.
+// Deleted uploaded flushes count as received.
+function createQualityAudit(session) {
+  const sampleIntervalMs = (session.config && session.config.mouseSampleIntervalMs) || DEFAULT_CONFIG.mouseSampleIntervalMs
+  const streams = new Map()    // stream key → { seqs, deleted, max }
+  const segmentKeys = new Set()
+  const intervals = { count: 0, sum: 0, sumSquares: 0 }
+  const report = {
+    flushes: 0,
+    unsequencedFlushes: 0,
+    lostFlushes: 0,
+    duplicateFlushes: 0,
+    segments: 0,
+    duplicateSegments: 0,
+    sampleIntervalMs,
+    mouseSamples: 0,
+    meanIntervalMs: null,
+    jitterMs: null,
+    maxIntervalMs: null,
+    gaps: 0,
+    gapMs: 0,
+    storageErrors: 0,
+    droppedWrites: 0,
+  }
+
+  function streamOf(record) {
+    const key = flushStreamKey(record)
+    if (!streams.has(key)) streams.set(key, { seqs: new Set(), deleted: new Set(), max: 0 })
+    return streams.get(key)
+  }
+
+  for (const range of session.deletedFlushes || []) {
+    const stream = streamOf(range)
+    for (let seq = range.from; seq <= range.to; seq++) stream.deleted.add(seq)
+    stream.max = Math.max(stream.max, range.to)
+  }
+
+  function addFlush(record) {
+    report.flushes++
+    if (typeof record.seq !== 'number' || !record.seqStream) {
+      report.unsequencedFlushes++
+      return
+    }
+    const stream = streamOf(record)
+    if (stream.seqs.has(record.seq)) report.duplicateFlushes++
+    stream.seqs.add(record.seq)
+    stream.max = Math.max(stream.max, record.seq)
+  }
+
+  function addSegment(seg) {
+    report.segments++
+    // A segment met again was stored twice, or split by a late flush
+    const key = `${seg.mergedFrom ?? ''}:${seg.tabId}:${seg.frameId ?? 0}:${seg.timeOrigin}:${seg.segmentId}`
+    if (segmentKeys.has(key)) report.duplicateSegments++
+    segmentKeys.add(key)
+
+    const { stats, ...quality } = segmentQuality(seg, sampleIntervalMs)
+    intervals.count += stats.count
+    intervals.sum += stats.sum
+    intervals.sumSquares += stats.sumSquares
+    report.mouseSamples += quality.mouseSamples
+    report.gaps += quality.gaps
+    report.gapMs += quality.gapMs
+    if (quality.maxIntervalMs !== null) report.maxIntervalMs = Math.max(report.maxIntervalMs ?? 0, quality.maxIntervalMs)
+    return quality
+  }
+
+  return {
+    addFlush,
+    addSegment,
+    report() {
+      const result = { ...report, ...intervalSummary(intervals) }
+      // Numbering starts at 1, so flushes missing before the first
+      // stored one count too; ones lost after the last stored can't
+      for (const { seqs, deleted, max } of streams.values()) {
+        let received = seqs.size
+        for (const seq of deleted) if (!seqs.has(seq)) received++
+        result.lostFlushes += max - received
+      }
+      for (const event of session.qualityEvents || []) {
+        if (event.type === 'duplicate-flush') result.duplicateFlushes++
+        if (event.type === 'storage-error') result.storageErrors++
+        if (event.type === 'dropped-writes') result.droppedWrites += event.count
+      }
+      return result
+    },
+  }
+}
+
+// Whether a report shows data that was lost, doubled or failed to store
+function hasQualityProblems(report) {
+  return report.lostFlushes > 0 || report.duplicateFlushes > 0 || report.duplicateSegments > 0 ||
+    report.storageErrors > 0 || report.droppedWrites > 0
+}
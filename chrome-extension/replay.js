@@ -0,0 +1,476 @@
+'use strict'
+
+// Replays one session's merged segments on a canvas. The session comes
+// from IndexedDB (replay.html?session=<id>) or from an export file.
+
+const SEGMENT_BATCH_SIZE = 500
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 }
+const TRAIL_MS = 1500         // highlighted part of the mouse path
+const CLICK_FADE_MS = 1200
+const KEY_FLASH_MS = 150
+const GAP_SKIP_MS = 1000      // shorter gaps play through even when skipping
+
+const fileInput = document.getElementById('fileInput')
+const sessionSelect = document.getElementById('sessionSelect')
+const sourceInfoEl = document.getElementById('sourceInfo')
+const loadErrorsEl = document.getElementById('loadErrors')
+const stageEl = document.getElementById('stage')
+const viewportCanvas = document.getElementById('viewport')
+const timelineCanvas = document.getElementById('timeline')
+const scrubber = document.getElementById('scrubber')
+const playBtn = document.getElementById('playBtn')
+const speedSelect = document.getElementById('speedSelect')
+const prevSegmentBtn = document.getElementById('prevSegmentBtn')
+const nextSegmentBtn = document.getElementById('nextSegmentBtn')
+const prevGapBtn = document.getElementById('prevGapBtn')
+const nextGapBtn = document.getElementById('nextGapBtn')
+const skipGapsEl = document.getElementById('skipGaps')
+const clockEl = document.getElementById('clock')
+const segmentInfoEl = document.getElementById('segmentInfo')
+
+let loadedSessions = []   // [{ sessionId, header, segments }]
+let replay = null         // see buildReplay()
+let playhead = 0          // wall-clock ms within [replay.start, replay.end]
+let playing = false
+let lastFrameTime = null
+
+function showErrors(listEl, errors) {
+  listEl.replaceChildren(...errors.map(text => {
+    const li = document.createElement('li')
+    li.textContent = text
+    return li
+  }))
+}
+
+// ── Loading ─────────────────────────────────────────────────────────
+async function loadStoredSession(sessionId) {
+  const session = await dbGetSession(sessionId)
+  if (!session) throw new Error(`Session ${sessionId} not found`)
+
+  const segments = []
+  const merger = createSegmentMerger(seg => segments.push(seg))
+  await dbForEachSegmentBatch(sessionId, SEGMENT_BATCH_SIZE, batch => {
+    for (const record of batch) merger.push(record)
+  })
+  merger.end()
+
+  const header = {
+    ...session,
+    ...sessionAnnotation(session),
+    pageMeta: await dbGetPageMeta(sessionId),
+    browserEvents: await dbGetBrowserEvents(sessionId),
+  }
+  return { sessionId, header, segments }
+}
+
+// ── Replay model ────────────────────────────────────────────────────
+// Segments are placed on the wall clock shared by every tab (see
+// segmentClock in consolidate.js)
+function placeSegment(seg, pageMeta) {
+  let first = Infinity
+  let last = -Infinity
+  for (const type of EVENT_TYPES) {
+    for (const event of seg[type] || []) {
+      if (typeof event.t !== 'number') continue
+      if (event.t < first) first = event.t
+      if (event.t > last) last = event.t
+    }
+  }
+  if (first === Infinity) return null
+
+  const at = segmentClock(seg)
+  const start = at(first)
+  const scroll = (seg.scroll || []).map(e => ({ time: at(e.t), scrollX: e.scrollX, scrollY: e.scrollY }))
+  // Frame coordinates are shifted into the top-level viewport
+  const offset = seg.frameOffset || { x: 0, y: 0 }
+
+  return {
+    seg,
+    start,
+    end: seg.endTime,
+    viewport: viewportFor(seg, pageMeta),
+    mouse: (seg.mouse || []).map(e => ({ time: at(e.t), x: e.x + offset.x, y: e.y + offset.y })),
+    clicks: (seg.clicks || []).map(e => ({
+      time: at(e.t),
+      x: e.x + offset.x,
+      y: e.y + offset.y,
+      button: e.button,
+      target: e.target,
+    })),
+    scroll,
+    maxScrollY: scroll.reduce((max, s) => Math.max(max, s.scrollY), 1),
+    // Presses, or the key-downs of exports from before presses were paired
+    keys: (seg.keystrokes || []).filter(e => e.type !== 'up').map(e => ({ time: at(e.t), field: e.field, key: e.key })),
+    markers: (seg.markers || []).map(e => ({ time: at(e.t), label: e.label })),
+  }
+}
+
+// Viewport of the tab's top frame at the time the segment started
+function viewportFor(seg, pageMeta) {
+  const candidates = pageMeta.filter(meta =>
+    meta.clientHints && meta.tabId === seg.tabId && (meta.frameId ?? 0) === 0)
+  const earlier = candidates.filter(meta => meta.timestamp <= seg.startTime)
+  const meta = earlier[earlier.length - 1] || candidates[0] || pageMeta.find(m => m.clientHints)
+  if (!meta) return DEFAULT_VIEWPORT
+  return { width: meta.clientHints.innerWidth, height: meta.clientHints.innerHeight }
+}
+
+function buildReplay(session) {
+  const pageMeta = session.header.pageMeta || []
+  const segments = session.segments
+    .map(seg => placeSegment(seg, pageMeta))
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start)
+  if (segments.length === 0) return null
+
+  // Idle gaps: stretches where no segment in any tab was running
+  const gaps = []
+  let coveredUntil = segments[0].end
+  for (const segment of segments.slice(1)) {
+    if (segment.start > coveredUntil) gaps.push({ start: coveredUntil, end: segment.start })
+    coveredUntil = Math.max(coveredUntil, segment.end)
+  }
+
+  // Markers from the segments, plus ones dropped on tabs that weren't
+  // recording (kept on the browser timeline)
+  const markers = [
+    ...segments.flatMap(segment => segment.markers),
+    ...(session.header.browserEvents || [])
+      .filter(event => event.type === 'marker')
+      .map(event => ({ time: event.timestamp, label: event.label })),
+  ].sort((a, b) => a.time - b.time)
+
+  return {
+    sessionId: session.sessionId,
+    label: sessionAnnotation(session.header).label,
+    segments,
+    gaps,
+    markers,
+    start: segments[0].start,
+    end: coveredUntil,
+  }
+}
+
+// The running segment that started last, else the last one that ended
+function segmentAt(time) {
+  let running = null
+  let ended = null
+  for (const segment of replay.segments) {
+    if (segment.start > time) break
+    if (segment.end >= time) running = segment
+    else ended = segment
+  }
+  return running || ended || replay.segments[0]
+}
+
+function gapAt(time) {
+  return replay.gaps.find(gap => time > gap.start && time < gap.end) || null
+}
+
+// ── Viewport drawing ────────────────────────────────────────────────
+function drawViewport() {
+  const segment = segmentAt(playhead)
+  const { width, height } = segment.viewport
+  if (viewportCanvas.width !== width) viewportCanvas.width = width
+  if (viewportCanvas.height !== height) viewportCanvas.height = height
+
+  const ctx = viewportCanvas.getContext('2d')
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, width, height)
+
+  const idle = segment.end < playhead
+  // Mark where an iframe segment's frame sits (its size isn't recorded)
+  if (segment.seg.frameOffset && segment.seg.frameId) {
+    const { x, y } = segment.seg.frameOffset
+    ctx.strokeStyle = '#adb5bd'
+    ctx.setLineDash([6, 4])
+    ctx.beginPath()
+    ctx.moveTo(x, y + 40)
+    ctx.lineTo(x, y)
+    ctx.lineTo(x + 40, y)
+    ctx.stroke()
+    ctx.setLineDash([])
+    ctx.fillStyle = '#868e96'
+    ctx.font = '12px sans-serif'
+    ctx.fillText('iframe', x + 4, y + 14)
+  }
+
+  // Whole path so far, then the recent trail on top
+  const seen = segment.mouse.filter(p => p.time <= playhead)
+  drawPath(ctx, seen, 'rgba(34, 139, 230, 0.25)', 1)
+  drawPath(ctx, seen.filter(p => p.time >= playhead - TRAIL_MS), 'rgba(34, 139, 230, 0.9)', 2)
+  const cursor = seen[seen.length - 1]
+  if (cursor) {
+    ctx.fillStyle = idle ? '#868e96' : '#1c7ed6'
+    ctx.beginPath()
+    ctx.arc(cursor.x, cursor.y, 5, 0, Math.PI * 2)
+    ctx.fill()
+  }
+
+  ctx.font = '12px sans-serif'
+  for (const click of segment.clicks) {
+    if (click.time > playhead) break
+    const age = playhead - click.time
+    const fresh = age < CLICK_FADE_MS
+    ctx.strokeStyle = fresh ? `rgba(250, 82, 82, ${1 - age / CLICK_FADE_MS})` : 'rgba(250, 82, 82, 0.2)'
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.arc(click.x, click.y, fresh ? 8 + age / 60 : 6, 0, Math.PI * 2)
+    ctx.stroke()
+    if (fresh) {
+      ctx.fillStyle = '#c92a2a'
+      ctx.fillText(`${click.button} ${describeTarget(click.target)}`, click.x + 12, click.y - 8)
+    }
+  }
+  ctx.lineWidth = 1
+
+  drawScrollIndicator(ctx, segment, width, height)
+
+  const key = lastBefore(segment.keys, playhead)
+  if (key && playhead - key.time < KEY_FLASH_MS) {
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.8)'
+    ctx.fillRect(8, height - 32, 160, 24)
+    ctx.fillStyle = '#fff'
+    ctx.fillText(`${key.key || 'key'} in ${key.field}`, 14, height - 15)
+  }
+
+  if (idle) {
+    ctx.fillStyle = 'rgba(134, 142, 150, 0.15)'
+    ctx.fillRect(0, 0, width, height)
+    ctx.fillStyle = '#495057'
+    ctx.fillText('idle', 8, 18)
+  }
+}
+
+function drawPath(ctx, points, color, lineWidth) {
+  if (points.length < 2) return
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.beginPath()
+  ctx.moveTo(points[0].x, points[0].y)
+  for (const p of points.slice(1)) ctx.lineTo(p.x, p.y)
+  ctx.stroke()
+  ctx.lineWidth = 1
+}
+
+// Scroll position as a bar on the right edge, scaled to the furthest
+// offset seen in the segment
+function drawScrollIndicator(ctx, segment, width, height) {
+  const current = lastBefore(segment.scroll, playhead)
+  if (!current) return
+  const barHeight = Math.max(20, height * 0.1)
+  const y = (current.scrollY / segment.maxScrollY) * (height - barHeight)
+
+  ctx.fillStyle = '#e9ecef'
+  ctx.fillRect(width - 8, 0, 8, height)
+  ctx.fillStyle = '#495057'
+  ctx.fillRect(width - 8, y, 8, barHeight)
+  ctx.fillText(`scroll ${Math.round(current.scrollX)}, ${Math.round(current.scrollY)}`, width - 120, 18)
+}
+
+function lastBefore(list, time) {
+  let found = null
+  for (const item of list) {
+    if (item.time > time) break
+    found = item
+  }
+  return found
+}
+
+function describeTarget(target) {
+  if (!target) return ''
+  let text = (target.tag || '').toLowerCase()
+  if (target.id) text += `#${target.id}`
+  if (target.text) text += ` "${target.text.slice(0, 24)}"`
+  return text
+}
+
+// ── Timeline drawing ────────────────────────────────────────────────
+// Segments as bars (one row per tab), idle gaps shaded, clicks and
+// keys as ticks, markers as lines, and the playhead
+function drawTimeline() {
+  const width = timelineCanvas.clientWidth || 800
+  if (timelineCanvas.width !== width) timelineCanvas.width = width
+  const height = timelineCanvas.height
+  const ctx = timelineCanvas.getContext('2d')
+  ctx.clearRect(0, 0, width, height)
+
+  const span = Math.max(replay.end - replay.start, 1)
+  const x = time => ((time - replay.start) / span) * width
+
+  ctx.fillStyle = '#f1f3f5'
+  for (const gap of replay.gaps) ctx.fillRect(x(gap.start), 0, Math.max(1, x(gap.end) - x(gap.start)), height)
+
+  const tabs = [...new Set(replay.segments.map(s => s.seg.tabId))]
+  const rowHeight = Math.max(4, Math.min(16, (height - 16) / tabs.length))
+  for (const segment of replay.segments) {
+    const row = tabs.indexOf(segment.seg.tabId)
+    ctx.fillStyle = segment === segmentAt(playhead) ? '#74c0fc' : '#d0ebff'
+    ctx.fillRect(x(segment.start), row * rowHeight, Math.max(1, x(segment.end) - x(segment.start)), rowHeight - 1)
+  }
+
+  const tickTop = height - 14
+  ctx.fillStyle = '#1c7ed6'
+  for (const segment of replay.segments) {
+    for (const key of segment.keys) ctx.fillRect(x(key.time), tickTop, 1, 6)
+  }
+  ctx.fillStyle = '#fa5252'
+  for (const segment of replay.segments) {
+    for (const click of segment.clicks) ctx.fillRect(x(click.time), tickTop + 7, 1, 7)
+  }
+
+  ctx.fillStyle = '#f76707'
+  for (const marker of replay.markers) ctx.fillRect(x(marker.time), 0, 1, height)
+
+  ctx.fillStyle = '#1a1a2e'
+  ctx.fillRect(x(playhead) - 1, 0, 2, height)
+}
+
+function formatClock(ms) {
+  const seconds = ms / 1000
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+}
+
+function showSegmentInfo() {
+  const segment = segmentAt(playhead)
+  const lastClick = lastBefore(segment.clicks, playhead)
+  const lastMarker = lastBefore(replay.markers, playhead)
+  const entries = [
+    ['Session', `${replay.sessionId} (${replay.label})`],
+    ['Segment', `${segment.seg.segmentId} · tab ${segment.seg.tabId} · frame ${segment.seg.frameId ?? 0}`],
+    ['URL', segment.seg.frameUrl || segment.seg.url || '—'],
+    ['Time', new Date(playhead).toLocaleTimeString()],
+    ['Viewport', `${segment.viewport.width} × ${segment.viewport.height}`],
+    ['Last click', lastClick ? `${lastClick.button} ${describeTarget(lastClick.target)}` : '—'],
+    ['Last marker', lastMarker ? `${lastMarker.label || 'unlabeled'} at ${new Date(lastMarker.time).toLocaleTimeString()}` : '—'],
+  ]
+  segmentInfoEl.replaceChildren(...entries.flatMap(([term, value]) => {
+    const dt = document.createElement('dt')
+    dt.textContent = term
+    const dd = document.createElement('dd')
+    dd.textContent = value
+    return [dt, dd]
+  }))
+}
+
+function render() {
+  drawViewport()
+  drawTimeline()
+  showSegmentInfo()
+  scrubber.value = Math.round(playhead - replay.start)
+  clockEl.textContent = `${formatClock(playhead - replay.start)} / ${formatClock(replay.end - replay.start)}`
+}
+
+// ── Playback ────────────────────────────────────────────────────────
+function seek(time) {
+  playhead = Math.min(Math.max(time, replay.start), replay.end)
+  render()
+}
+
+function frame(now) {
+  if (!playing) return
+  const elapsed = lastFrameTime === null ? 0 : now - lastFrameTime
+  lastFrameTime = now
+
+  let next = playhead + elapsed * Number(speedSelect.value)
+  const gap = skipGapsEl.checked ? gapAt(next) : null
+  if (gap && gap.end - gap.start > GAP_SKIP_MS) next = gap.end
+  if (next >= replay.end) {
+    seek(replay.end)
+    pause()
+    return
+  }
+  seek(next)
+  requestAnimationFrame(frame)
+}
+
+function play() {
+  if (playhead >= replay.end) playhead = replay.start
+  playing = true
+  lastFrameTime = null
+  playBtn.textContent = 'Pause'
+  requestAnimationFrame(frame)
+}
+
+function pause() {
+  playing = false
+  playBtn.textContent = 'Play'
+}
+
+playBtn.addEventListener('click', () => (playing ? pause() : play()))
+
+scrubber.addEventListener('input', () => seek(replay.start + Number(scrubber.value)))
+
+timelineCanvas.addEventListener('click', (event) => {
+  const fraction = event.offsetX / timelineCanvas.clientWidth
+  seek(replay.start + fraction * (replay.end - replay.start))
+})
+
+// Jump to the next / previous mark; 1 ms slack so repeated presses move on
+function jump(marks, direction) {
+  const target = direction > 0
+    ? marks.find(time => time > playhead + 1)
+    : [...marks].reverse().find(time => time < playhead - 1)
+  if (target !== undefined) seek(target)
+}
+
+prevSegmentBtn.addEventListener('click', () => jump(replay.segments.map(s => s.start), -1))
+nextSegmentBtn.addEventListener('click', () => jump(replay.segments.map(s => s.start), 1))
+prevGapBtn.addEventListener('click', () => jump(replay.gaps.map(g => g.start), -1))
+nextGapBtn.addEventListener('click', () => jump(replay.gaps.map(g => g.start), 1))
+
+window.addEventListener('resize', () => { if (replay) drawTimeline() })
+
+// ── Session selection ───────────────────────────────────────────────
+function showSession(session) {
+  pause()
+  replay = buildReplay(session)
+  if (!replay) {
+    stageEl.classList.add('hidden')
+    showErrors(loadErrorsEl, [`Session ${session.sessionId} has no recorded events`])
+    return
+  }
+  showErrors(loadErrorsEl, [])
+  stageEl.classList.remove('hidden')
+  scrubber.max = Math.round(replay.end - replay.start)
+  seek(replay.start)
+}
+
+function showSessionList(sessions, source) {
+  loadedSessions = sessions
+  sourceInfoEl.textContent = source
+  sessionSelect.replaceChildren(...sessions.map((session, i) => {
+    const label = sessionAnnotation(session.header).label
+    const started = session.header.startTime ? new Date(session.header.startTime).toLocaleString() : session.sessionId
+    return new Option(`${started} · ${label} · ${session.segments.length} segments`, String(i))
+  }))
+  sessionSelect.classList.toggle('hidden', sessions.length < 2)
+  if (sessions.length === 0) {
+    stageEl.classList.add('hidden')
+    showErrors(loadErrorsEl, ['No sessions found in this file'])
+    return
+  }
+  showSession(sessions[0])
+}
+
+sessionSelect.addEventListener('change', () => showSession(loadedSessions[Number(sessionSelect.value)]))
+
+fileInput.addEventListener('change', async () => {
+  const file = fileInput.files[0]
+  if (!file) return
+  try {
+    const sessions = parseExportText(await file.text()).filter(s => Array.isArray(s.segments))
+    showSessionList(sessions, file.name)
+  } catch (err) {
+    stageEl.classList.add('hidden')
+    showErrors(loadErrorsEl, [`Could not read ${file.name}: ${err.message}`])
+  }
+})
+
+const requestedSessionId = new URLSearchParams(location.search).get('session')
+if (requestedSessionId) {
+  loadStoredSession(requestedSessionId)
+    .then(session => showSessionList([session], 'Stored session'))
+    .catch(err => showErrors(loadErrorsEl, [err.message]))
+}
@@ -0,0 +1,96 @@
+// TicketMonarch Telemetry Collector — Storage Retention
+// Shared by the background worker, the popup and extension pages. Holds
+// the retention policy (how much telemetry to keep before rotating old
+// sessions out) and the warning / pause thresholds for storage usage.
+// Usage comes from navigator.storage.estimate(), which covers the whole
+// extension origin and is only approximate.
+
+'use strict'
+
+const RETENTION_STORAGE_KEY = 'retentionSettings'   // chrome.storage.local
+const RETENTION_STATUS_KEY = 'retentionStatus'       // chrome.storage.local
+const RETENTION_ALARM = 'tm-retention'
+const RETENTION_ALARM_PERIOD_MIN = 5
+const MB = 1 << 20
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 0 turns a limit off
+const DEFAULT_RETENTION = {
+  warnPercent: 80,       // popup warns above this share of the limit
+  pausePercent: 95,      // recording pauses above this share
+  maxAgeDays: 0,
+  maxTotalMB: 0,         // 0 = only the browser quota applies
+  maxSessions: 0,
+  evictUnsaved: false,   // also evict sessions never uploaded or exported
+}
+
+// [min, max] for each numeric setting
+const RETENTION_LIMITS = {
+  warnPercent: [1, 100],
+  pausePercent: [1, 100],
+  maxAgeDays: [0, 3650],
+  maxTotalMB: [0, 1 << 20],
+  maxSessions: [0, 100000],
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+// Returns { settings, errors }; invalid fields fall back to their default
+function validateRetention(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const settings = { ...DEFAULT_RETENTION }
+  const errors = []
+
+  for (const [name, [min, max]] of Object.entries(RETENTION_LIMITS)) {
+    if (input[name] === undefined) continue
+    const value = input[name]
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} must be a whole number between ${min} and ${max}`)
+    } else {
+      settings[name] = value
+    }
+  }
+
+  if (settings.warnPercent > settings.pausePercent) {
+    errors.push('The warning threshold must not be above the pause threshold')
+    settings.warnPercent = Math.min(DEFAULT_RETENTION.warnPercent, settings.pausePercent)
+  }
+
+  if (input.evictUnsaved !== undefined) {
+    if (typeof input.evictUnsaved !== 'boolean') {
+      errors.push('evictUnsaved must be true or false')
+    } else {
+      settings.evictUnsaved = input.evictUnsaved
+    }
+  }
+
+  return { settings, errors }
+}
+
+async function loadRetention() {
+  const result = await chrome.storage.local.get(RETENTION_STORAGE_KEY)
+  return validateRetention(result[RETENTION_STORAGE_KEY]).settings
+}
+
+// ── Usage ───────────────────────────────────────────────────────────
+// { usage, quota, limit, percent, level }, level 'ok' | 'warn' | 'full'.
+// The limit is the browser quota, or maxTotalMB when that is lower.
+function storageLevel(usage, quota, settings) {
+  const limit = settings.maxTotalMB > 0 ? Math.min(quota, settings.maxTotalMB * MB) : quota
+  const percent = limit > 0 ? (usage / limit) * 100 : 0
+  let level = 'ok'
+  if (percent >= settings.pausePercent) level = 'full'
+  else if (percent >= settings.warnPercent) level = 'warn'
+  return { usage, quota, limit, percent, level }
+}
+
+async function measureStorage(settings) {
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+  return storageLevel(usage, quota, settings)
+}
+
+function formatBytes(n) {
+  if (n >= 1 << 30) return (n / (1 << 30)).toFixed(1) + ' GB'
+  if (n >= 1 << 20) return (n / (1 << 20)).toFixed(1) + ' MB'
+  if (n >= 1 << 10) return (n / (1 << 10)).toFixed(1) + ' KB'
+  return `${n} B`
+}
@@ -0,0 +1,163 @@
+// TicketMonarch Telemetry Collector — Recording Schedule
+// Shared by the background worker and the options page. Holds the
+// automatic recording settings: whether to record without anyone
+// pressing Start, the weekly windows to record in (e.g. weekdays 9–17,
+// local time) and whether recording pauses while the computer is idle or
+// locked. The background applies them on browser startup and at each
+// window boundary via chrome.alarms.
+
+'use strict'
+
+const SCHEDULE_STORAGE_KEY = 'scheduleSettings'   // chrome.storage.local
+const RECORDING_STATE_KEY = 'recordingState'      // chrome.storage.local
+const SCHEDULE_ALARM = 'tm-schedule'
+const MINUTES_PER_DAY = 24 * 60
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const DEFAULT_SCHEDULE = {
+  autoRecord: false,
+  onStartup: 'resume',   // 'resume' the last session or start a 'new' one
+  windows: [],           // e.g. 'Mon-Fri 09:00-17:00'; none = any time
+  pauseOnIdle: true,
+  idleSeconds: 60,       // chrome.idle accepts 15 and up
+}
+
+const STARTUP_MODES = ['resume', 'new']
+const IDLE_SECONDS_LIMITS = [15, 3600]
+
+// ── Recording windows ───────────────────────────────────────────────
+// "<days> <HH:MM>-<HH:MM>", days being 'Daily', a day ('Sat'), a range
+// ('Mon-Fri') or a comma list of those ('Mon,Wed,Fri-Sun'). A window
+// ending before it starts runs past midnight into the next day.
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text)
+  if (!match) return null
+  const hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null
+  return hours * 60 + minutes
+}
+
+// 'Mon' or 'Monday', any case
+function parseWeekday(text) {
+  const index = WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === text.slice(0, 3).toLowerCase())
+  if (index < 0) return null
+  return text.length === 3 || /^(sun|mon|tues|wednes|thurs|fri|satur)day$/i.test(text) ? index : null
+}
+
+function parseWeekdays(text) {
+  if (/^(daily|every ?day)$/i.test(text)) return [0, 1, 2, 3, 4, 5, 6]
+
+  const days = new Set()
+  for (const part of text.split(',')) {
+    const [from, to = from, extra] = part.trim().split('-').map(s => s.trim())
+    const first = parseWeekday(from)
+    const last = parseWeekday(to)
+    if (first === null || last === null || extra !== undefined) return null
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === last) break
+    }
+  }
+  return [...days].sort()
+}
+
+// { days, start, end } in minutes of the day, or null when malformed
+function parseRecordingWindow(text) {
+  const match = /^(.+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(text.trim())
+  if (!match) return null
+  const days = parseWeekdays(match[1].trim())
+  const start = parseTimeOfDay(match[2])
+  const end = parseTimeOfDay(match[3])
+  if (!days || start === null || end === null || start === end) return null
+  return { days, start, end }
+}
+
+// Whether `date` falls inside one of the windows; no windows means any time
+function isInRecordingWindow(windows, date = new Date()) {
+  if (windows.length === 0) return true
+
+  const minute = date.getHours() * 60 + date.getMinutes()
+  const today = date.getDay()
+  const yesterday = (today + 6) % 7
+  return windows.map(parseRecordingWindow).filter(Boolean).some(({ days, start, end }) => {
+    if (start < end) return days.includes(today) && minute >= start && minute < end
+    return (days.includes(today) && minute >= start) || (days.includes(yesterday) && minute < end)
+  })
+}
+
+// Epoch ms of the next window start or end after `now`, or null when no
+// windows are set
+function nextWindowBoundary(windows, now = new Date()) {
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  let next = null
+  for (const { days, start, end } of windows.map(parseRecordingWindow).filter(Boolean)) {
+    // A window starting yesterday may end today; one starting in a week
+    // is the furthest boundary that can be next
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(midnight.getFullYear(), midnight.getMonth(), midnight.getDate() + offset)
+      if (!days.includes(day.getDay())) continue
+      const endOffset = end > start ? end : end + MINUTES_PER_DAY
+      for (const minutes of [start, endOffset]) {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime()
+        if (at > now.getTime() && (next === null || at < next)) next = at
+      }
+    }
+  }
+  return next
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+// Returns { settings, errors }; invalid fields fall back to their default
+function validateSchedule(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const settings = { ...DEFAULT_SCHEDULE, windows: [] }
+  const errors = []
+
+  for (const name of ['autoRecord', 'pauseOnIdle']) {
+    if (input[name] === undefined) continue
+    if (typeof input[name] !== 'boolean') {
+      errors.push(`${name} must be true or false`)
+    } else {
+      settings[name] = input[name]
+    }
+  }
+
+  if (input.onStartup !== undefined) {
+    if (STARTUP_MODES.includes(input.onStartup)) {
+      settings.onStartup = input.onStartup
+    } else {
+      errors.push(`onStartup must be one of: ${STARTUP_MODES.join(', ')}`)
+    }
+  }
+
+  if (input.windows !== undefined) {
+    if (!Array.isArray(input.windows)) {
+      errors.push('windows must be a list')
+    } else {
+      for (const text of input.windows) {
+        if (typeof text === 'string' && parseRecordingWindow(text)) {
+          settings.windows.push(text.trim())
+        } else {
+          errors.push(`Not a recording window: "${text}" (expected e.g. Mon-Fri 09:00-17:00)`)
+        }
+      }
+    }
+  }
+
+  if (input.idleSeconds !== undefined) {
+    const [min, max] = IDLE_SECONDS_LIMITS
+    if (!Number.isInteger(input.idleSeconds) || input.idleSeconds < min || input.idleSeconds > max) {
+      errors.push(`idleSeconds must be a whole number between ${min} and ${max}`)
+    } else {
+      settings.idleSeconds = input.idleSeconds
+    }
+  }
+
+  return { settings, errors }
+}
+
+async function loadSchedule() {
+  const result = await chrome.storage.local.get(SCHEDULE_STORAGE_KEY)
+  return validateSchedule(result[SCHEDULE_STORAGE_KEY]).settings
+}
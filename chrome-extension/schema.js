@@ -0,0 +1,129 @@
+// TicketMonarch Telemetry Collector — Data Schema
+// Shared by the background worker, the offscreen export builder and
+// extension pages. Stored sessions and exports carry a schemaVersion;
+// export.schema.json (bundled with the extension) describes the current
+// version. Migrations upgrade older session headers — stored ones when
+// the service worker starts, imported ones as files are read — and the
+// validator checks exports as they are built and files before import.
+
+'use strict'
+
+const SCHEMA_VERSION = 1
+const EXPORT_SCHEMA_FILE = 'export.schema.json'
+const MAX_SCHEMA_ERRORS = 20
+
+// ── Migrations ──────────────────────────────────────────────────────
+// SCHEMA_MIGRATIONS[n] upgrades a header from version n to n + 1. A
+// header is the session record plus its pageMeta and browserEvents
+// lists; records keep any extra fields (ids, sessionId) they came with.
+const SCHEMA_MIGRATIONS = [
+  // 0 → 1: sessions from before versioning. System idle / lock was
+  // stored as a page meta entry with url 'system'; it is a browser event.
+  header => {
+    const pageMeta = []
+    const browserEvents = [...(header.browserEvents || [])]
+    for (const meta of header.pageMeta || []) {
+      if (meta.url !== 'system') {
+        pageMeta.push(meta)
+        continue
+      }
+      const { id, url, hostname, frameId, frameUrl, segmentId, clientHints, network, idleState, ...rest } = meta
+      browserEvents.push({ ...rest, type: 'idle', tabId: null, windowId: null, state: idleState })
+    }
+    browserEvents.sort((a, b) => a.timestamp - b.timestamp)
+
+    return {
+      ...DEFAULT_ANNOTATION,
+      configChanges: [],
+      privacyChanges: [],
+      ...header,
+      pageMeta,
+      browserEvents,
+    }
+  },
+]
+
+// Returns the header upgraded to SCHEMA_VERSION. Headers newer than this
+// extension are returned as they are (the validator rejects them).
+function migrateSessionHeader(header) {
+  let version = header.schemaVersion ?? 0
+  if (version >= SCHEMA_VERSION) return header
+
+  let migrated = header
+  for (; version < SCHEMA_VERSION; version++) migrated = SCHEMA_MIGRATIONS[version](migrated)
+  return { ...migrated, schemaVersion: SCHEMA_VERSION }
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+let exportSchemaPromise = null
+
+function loadExportSchema() {
+  if (!exportSchemaPromise) {
+    exportSchemaPromise = fetch(chrome.runtime.getURL(EXPORT_SCHEMA_FILE))
+      .then(response => response.json())
+      .catch(err => {
+        exportSchemaPromise = null
+        throw err
+      })
+  }
+  return exportSchemaPromise
+}
+
+function matchesSchemaType(type, value) {
+  switch (type) {
+    case 'null': return value === null
+    case 'array': return Array.isArray(value)
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'integer': return Number.isInteger(value)
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    default: return typeof value === type
+  }
+}
+
+// Checks `value` against the schema node at `pointer` ('#' for the whole
+// schema, '#/$defs/segment' for one definition). Covers the keywords
+// export.schema.json uses: $ref, type, const, enum, required,
+// properties, items, minimum and minLength. Returns up to `limit`
+// "path: problem" strings; path starts at `name`.
+function validateSchema(schema, pointer, value, name, limit = MAX_SCHEMA_ERRORS) {
+  const errors = []
+  const resolve = ref => ref === '#' ? schema : ref.slice(2).split('/').reduce((node, key) => node[key], schema)
+
+  function check(node, v, path) {
+    if (errors.length >= limit) return
+    if (node.$ref) check(resolve(node.$ref), v, path)
+
+    if (node.type !== undefined) {
+      const types = [].concat(node.type)
+      if (!types.some(type => matchesSchemaType(type, v))) {
+        errors.push(`${path}: expected ${types.join(' or ')}`)
+        return
+      }
+    }
+    if (node.const !== undefined && v !== node.const) errors.push(`${path}: must be ${JSON.stringify(node.const)}`)
+    if (node.enum && !node.enum.includes(v)) {
+      errors.push(`${path}: must be one of ${node.enum.map(e => JSON.stringify(e)).join(', ')}`)
+    }
+    if (node.minimum !== undefined && typeof v === 'number' && v < node.minimum) {
+      errors.push(`${path}: must be at least ${node.minimum}`)
+    }
+    if (node.minLength !== undefined && typeof v === 'string' && v.length < node.minLength) {
+      errors.push(`${path}: must not be empty`)
+    }
+
+    if (matchesSchemaType('object', v)) {
+      for (const key of node.required || []) {
+        if (v[key] === undefined) errors.push(`${path}.${key}: is missing`)
+      }
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        if (v[key] !== undefined) check(child, v[key], `${path}.${key}`)
+      }
+    }
+    if (Array.isArray(v) && node.items) {
+      for (let i = 0; i < v.length && errors.length < limit; i++) check(node.items, v[i], `${path}[${i}]`)
+    }
+  }
+
+  check(resolve(pointer), value, name)
+  return errors
+}
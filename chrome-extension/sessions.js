@@ -0,0 +1,611 @@
+'use strict'
+
+// Reads sessions straight from IndexedDB; every change goes through the
+// background worker so it stays serialized with incoming telemetry.
+
+const SEGMENT_BATCH_SIZE = 500
+const IMPORT_CHUNK_SEGMENTS = 200   // segments per message to the background
+
+const sessionRowsEl = document.getElementById('sessionRows')
+const emptyStateEl = document.getElementById('emptyState')
+const selectAllEl = document.getElementById('selectAll')
+const selectionInfoEl = document.getElementById('selectionInfo')
+const exportFormatEl = document.getElementById('exportFormat')
+const exportPerSessionEl = document.getElementById('exportPerSession')
+const exportIncludeFeaturesEl = document.getElementById('exportIncludeFeatures')
+const exportBtn = document.getElementById('exportBtn')
+const mergeBtn = document.getElementById('mergeBtn')
+const deleteBtn = document.getElementById('deleteBtn')
+const actionErrorsEl = document.getElementById('actionErrors')
+const importInput = document.getElementById('importInput')
+const importLabel = document.getElementById('importLabel')
+const importReportEl = document.getElementById('importReport')
+const detailPanel = document.getElementById('detailPanel')
+const detailTitleEl = document.getElementById('detailTitle')
+const detailEventsEl = document.getElementById('detailEvents')
+const detailHostsEl = document.getElementById('detailHosts')
+const detailInfoEl = document.getElementById('detailInfo')
+const detailQualityEl = document.getElementById('detailQuality')
+const detailLabelEl = document.getElementById('detailLabel')
+const detailParticipantEl = document.getElementById('detailParticipant')
+const detailTagsEl = document.getElementById('detailTags')
+const detailNoteEl = document.getElementById('detailNote')
+const detailErrorsEl = document.getElementById('detailErrors')
+const detailSaveBtn = document.getElementById('detailSaveBtn')
+const detailSavedEl = document.getElementById('detailSaved')
+const detailReplayBtn = document.getElementById('detailReplayBtn')
+const synthStrategyEl = document.getElementById('synthStrategy')
+const synthTypingEl = document.getElementById('synthTyping')
+const synthTypingField = document.getElementById('synthTypingField')
+const synthSourceEl = document.getElementById('synthSource')
+const synthSourceField = document.getElementById('synthSourceField')
+const synthSeedEl = document.getElementById('synthSeed')
+const synthErrorsEl = document.getElementById('synthErrors')
+const synthGenerateBtn = document.getElementById('synthGenerateBtn')
+const synthResultEl = document.getElementById('synthResult')
+// Numeric generator options and their inputs
+const synthNumberEls = {
+  sessions: document.getElementById('synthSessions'),
+  segments: document.getElementById('synthSegments'),
+  moveMs: document.getElementById('synthMoveMs'),
+  jitterPx: document.getElementById('synthJitterPx'),
+  timeJitterMs: document.getElementById('synthTimeJitterMs'),
+  keyIntervalMs: document.getElementById('synthKeyIntervalMs'),
+}
+
+let sessions = []             // newest first
+const summaries = new Map()   // sessionId → summary
+const selected = new Set()
+let activeSessionId = null    // being recorded right now
+let detailSessionId = null
+let isExporting = false
+let loadGeneration = 0
+
+// ── Shared helpers ──────────────────────────────────────────────────
+function showErrors(listEl, errors) {
+  listEl.replaceChildren(...errors.map(text => {
+    const li = document.createElement('li')
+    li.textContent = text
+    return li
+  }))
+}
+
+function flashSaved(el) {
+  el.textContent = 'Saved'
+  setTimeout(() => { el.textContent = '' }, 1500)
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : '—'
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+function totalEventCount(events) {
+  return Object.values(events).reduce((sum, n) => sum + n, 0)
+}
+
+// ── Session summaries ───────────────────────────────────────────────
+// One pass over the stored flushes. Segment counts use the export's
+// merger, so they match the segments an export would contain, and the
+// quality report is the one an export would carry. Size is the stored
+// records measured as JSON.
+async function summarizeSession(session) {
+  const summary = {
+    segments: 0,
+    flushes: 0,
+    events: Object.fromEntries(EVENT_TYPES.map(type => [type, 0])),
+    hostnames: new Set(),
+    endTime: session.startTime,
+    bytes: JSON.stringify(session).length,
+    pageCount: 0,
+  }
+
+  const audit = createQualityAudit(session)
+  const merger = createSegmentMerger(seg => {
+    summary.segments++
+    audit.addSegment(seg)
+  })
+  await dbForEachSegmentBatch(session.sessionId, SEGMENT_BATCH_SIZE, batch => {
+    for (const record of batch) {
+      audit.addFlush(record)
+      merger.push(record)
+      summary.flushes++
+      for (const type of EVENT_TYPES) summary.events[type] += (record[type] || []).length
+      if (record.hostname) summary.hostnames.add(record.hostname)
+      summary.endTime = Math.max(summary.endTime, record.timestamp)
+      summary.bytes += JSON.stringify(record).length
+    }
+  })
+  merger.end()
+  summary.quality = audit.report()
+
+  const pageMeta = await dbGetPageMeta(session.sessionId)
+  for (const meta of pageMeta) {
+    if (meta.hostname && meta.url !== 'system') summary.hostnames.add(meta.hostname)
+    summary.bytes += JSON.stringify(meta).length
+  }
+  summary.pageCount = pageMeta.length
+
+  return summary
+}
+
+// ── Table ───────────────────────────────────────────────────────────
+function labelBadge(session) {
+  const badge = document.createElement('span')
+  const { label } = sessionAnnotation(session)
+  badge.className = `badge ${label}`
+  badge.textContent = label
+  if (!session.synthetic) return badge
+
+  const synthetic = document.createElement('span')
+  synthetic.className = 'badge synthetic'
+  synthetic.textContent = 'synthetic'
+  synthetic.title = SYNTHETIC_STRATEGIES[session.synthetic.strategy] || session.synthetic.strategy
+  const badges = document.createDocumentFragment()
+  badges.append(badge, ' ', synthetic)
+  return badges
+}
+
+function cell(content, className) {
+  const td = document.createElement('td')
+  if (className) td.className = className
+  if (content instanceof Node) {
+    td.append(content)
+  } else {
+    td.textContent = content
+  }
+  return td
+}
+
+function buildRow(session) {
+  const sid = session.sessionId
+  const summary = summaries.get(sid)
+  const tr = document.createElement('tr')
+  tr.dataset.sessionId = sid
+  if (sid === detailSessionId) tr.className = 'current'
+
+  const box = document.createElement('input')
+  box.type = 'checkbox'
+  box.checked = selected.has(sid)
+  box.addEventListener('click', event => event.stopPropagation())
+  box.addEventListener('change', () => {
+    if (box.checked) selected.add(sid)
+    else selected.delete(sid)
+    updateSelection()
+  })
+
+  const label = labelBadge(session)
+  const labelCell = cell(label)
+  if (summary && hasQualityProblems(summary.quality)) {
+    const badge = document.createElement('span')
+    badge.className = 'badge data-loss'
+    badge.textContent = 'data loss'
+    badge.title = 'See Data quality in the session details'
+    labelCell.append(' ', badge)
+  }
+  if (sid === activeSessionId) {
+    const badge = document.createElement('span')
+    badge.className = 'badge recording'
+    badge.textContent = 'recording'
+    labelCell.append(' ', badge)
+  }
+
+  tr.append(
+    cell(box),
+    cell(formatTime(session.startTime)),
+    cell(summary ? formatTime(summary.endTime) : '…'),
+    cell(summary ? formatDuration(summary.endTime - session.startTime) : '…'),
+    labelCell,
+    cell(summary ? [...summary.hostnames].join(', ') || '—' : '…', 'hosts'),
+    cell(summary ? summary.segments.toLocaleString() : '…', 'num'),
+    cell(summary ? totalEventCount(summary.events).toLocaleString() : '…', 'num'),
+    cell(summary ? formatBytes(summary.bytes) : '…', 'num'),
+  )
+  if (summary) {
+    tr.children[7].title = EVENT_TYPES.map(type => `${type}: ${summary.events[type]}`).join('\n')
+  }
+
+  tr.addEventListener('click', () => showDetail(sid))
+  return tr
+}
+
+function renderTable() {
+  sessionRowsEl.replaceChildren(...sessions.map(buildRow))
+  emptyStateEl.classList.toggle('hidden', sessions.length > 0)
+  updateSelection()
+}
+
+function updateSelection() {
+  for (const sid of selected) {
+    if (!sessions.some(s => s.sessionId === sid)) selected.delete(sid)
+  }
+  const count = selected.size
+  selectionInfoEl.textContent = count === 0
+    ? 'No sessions selected'
+    : `${count} session${count === 1 ? '' : 's'} selected`
+  selectAllEl.checked = count > 0 && count === sessions.length
+  exportBtn.disabled = count === 0 || isExporting
+  mergeBtn.disabled = count < 2
+  deleteBtn.disabled = count === 0
+}
+
+selectAllEl.addEventListener('change', () => {
+  selected.clear()
+  if (selectAllEl.checked) for (const s of sessions) selected.add(s.sessionId)
+  renderTable()
+})
+
+// Sessions render at once; summaries fill in one session at a time
+async function loadSessions() {
+  const generation = ++loadGeneration
+  const status = await chrome.runtime.sendMessage({ type: 'popup_get_status' })
+  activeSessionId = status && status.recording ? status.sessionId : null
+
+  sessions = (await dbGetAllSessions()).reverse()
+  summaries.clear()
+  renderTable()
+  fillReplaySources()
+  if (detailSessionId) showDetail(detailSessionId)
+
+  for (const session of sessions) {
+    const summary = await summarizeSession(session)
+    if (generation !== loadGeneration) return   // a newer load took over
+    summaries.set(session.sessionId, summary)
+    const row = sessionRowsEl.querySelector(`tr[data-session-id="${session.sessionId}"]`)
+    if (row) row.replaceWith(buildRow(session))
+    if (session.sessionId === detailSessionId) showDetail(detailSessionId)
+  }
+}
+
+// ── Detail panel ────────────────────────────────────────────────────
+function fillList(dl, entries) {
+  dl.replaceChildren(...entries.flatMap(([term, value]) => {
+    const dt = document.createElement('dt')
+    dt.textContent = term
+    const dd = document.createElement('dd')
+    dd.textContent = value
+    return [dt, dd]
+  }))
+}
+
+function showDetail(sid) {
+  const session = sessions.find(s => s.sessionId === sid)
+  if (!session) {
+    detailSessionId = null
+    detailPanel.classList.add('hidden')
+    return
+  }
+
+  const changed = sid !== detailSessionId
+  detailSessionId = sid
+  for (const row of sessionRowsEl.children) {
+    row.classList.toggle('current', row.dataset.sessionId === sid)
+  }
+  detailPanel.classList.remove('hidden')
+  detailTitleEl.textContent = `Session ${sid}`
+
+  const summary = summaries.get(sid)
+  fillList(detailEventsEl, summary
+    ? EVENT_TYPES.map(type => [type, summary.events[type].toLocaleString()])
+    : [['', 'Counting…']])
+  detailHostsEl.replaceChildren(...(summary ? [...summary.hostnames] : []).map(host => {
+    const li = document.createElement('li')
+    li.textContent = host
+    return li
+  }))
+  fillList(detailInfoEl, [
+    ['Started', formatTime(session.startTime)],
+    ['Ended', summary ? formatTime(summary.endTime) : '…'],
+    ['Segments', summary ? summary.segments.toLocaleString() : '…'],
+    ['Flushes', summary ? summary.flushes.toLocaleString() : '…'],
+    ['Page loads', summary ? summary.pageCount.toLocaleString() : '…'],
+    ['Size', summary ? formatBytes(summary.bytes) : '…'],
+    ['Config changes', String((session.configChanges || []).length)],
+    ...(session.privacy ? [['Privacy', session.privacy.level]] : []),
+    ...(session.mergedFrom ? [['Merged from', session.mergedFrom.join(', ')]] : []),
+    ...(session.importedFrom ? [['Imported from', session.importedFrom]] : []),
+    ...(session.synthetic ? [['Synthetic', `${session.synthetic.strategy}, seed ${session.synthetic.seed}`]] : []),
+    ...(session.exportedAt ? [['Last exported', formatTime(session.exportedAt)]] : []),
+    ...(session.pauses && session.pauses.length ? [['Recording pauses', String(session.pauses.length)]] : []),
+  ])
+
+  fillList(detailQualityEl, summary ? qualityEntries(summary.quality) : [['', 'Checking…']])
+
+  // Leave the form alone while the same session is refreshed
+  if (changed) {
+    const annotation = sessionAnnotation(session)
+    detailLabelEl.value = annotation.label
+    detailParticipantEl.value = annotation.participantId || ''
+    detailTagsEl.value = annotation.tags.join(', ')
+    detailNoteEl.value = annotation.note
+    showErrors(detailErrorsEl, [])
+  }
+}
+
+// The audit of the stored flushes (see quality.js)
+function qualityEntries(report) {
+  const entries = [
+    ['Flushes', report.unsequencedFlushes > 0
+      ? `${report.flushes.toLocaleString()} (${report.unsequencedFlushes.toLocaleString()} unnumbered)`
+      : report.flushes.toLocaleString()],
+    ['Lost flushes', report.lostFlushes.toLocaleString()],
+    ['Duplicate flushes', report.duplicateFlushes.toLocaleString()],
+    ['Duplicate segments', report.duplicateSegments.toLocaleString()],
+    ['Storage errors', report.storageErrors.toLocaleString()],
+  ]
+  if (report.droppedWrites > 0) entries.push(['Dropped writes', report.droppedWrites.toLocaleString()])
+  if (report.meanIntervalMs !== null) {
+    entries.push(['Mouse interval', `${report.meanIntervalMs} ms ± ${report.jitterMs} (set to ${report.sampleIntervalMs})`])
+  }
+  if (report.gaps > 0) {
+    entries.push(['Sampling gaps', `${report.gaps.toLocaleString()}, ${formatDuration(report.gapMs)} in all, longest ${report.maxIntervalMs} ms`])
+  }
+  return entries
+}
+
+detailSaveBtn.addEventListener('click', async () => {
+  const { annotation, errors } = validateAnnotation({
+    label: detailLabelEl.value,
+    participantId: detailParticipantEl.value,
+    tags: detailTagsEl.value,
+    note: detailNoteEl.value,
+  })
+  showErrors(detailErrorsEl, errors)
+  if (errors.length > 0) return
+
+  const result = await chrome.runtime.sendMessage({
+    type: 'annotate_session',
+    sessionId: detailSessionId,
+    annotation,
+  })
+  if (!result || !result.success) {
+    showErrors(detailErrorsEl, [result?.error || 'Save failed'])
+    return
+  }
+
+  const session = sessions.find(s => s.sessionId === detailSessionId)
+  if (session) Object.assign(session, result.annotation)
+  detailTagsEl.value = result.annotation.tags.join(', ')
+  const row = sessionRowsEl.querySelector(`tr[data-session-id="${detailSessionId}"]`)
+  if (row && session) row.replaceWith(buildRow(session))
+  flashSaved(detailSavedEl)
+})
+
+detailReplayBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL(`replay.html?session=${encodeURIComponent(detailSessionId)}`) })
+})
+
+// ── Actions ─────────────────────────────────────────────────────────
+// Selected ids in recording order, so exports and merges are chronological
+function selectedIds() {
+  return sessions.filter(s => selected.has(s.sessionId)).map(s => s.sessionId).reverse()
+}
+
+// Only the JSON / NDJSON formats carry segments to add features to
+exportFormatEl.addEventListener('change', () => {
+  exportIncludeFeaturesEl.disabled = !['json', 'ndjson'].includes(exportFormatEl.value)
+})
+
+exportBtn.addEventListener('click', async () => {
+  isExporting = true
+  updateSelection()
+  exportBtn.textContent = 'Exporting...'
+  showErrors(actionErrorsEl, [])
+
+  const result = await chrome.runtime.sendMessage({
+    type: 'manager_export',
+    format: exportFormatEl.value,
+    perSession: exportPerSessionEl.checked,
+    includeFeatures: exportIncludeFeaturesEl.checked,
+    sessionIds: selectedIds(),
+  })
+
+  isExporting = false
+  exportBtn.textContent = 'Export selected'
+  updateSelection()
+  if (result && !result.success) showErrors(actionErrorsEl, [result.error || 'Export failed'])
+  if (result && result.schemaProblems > 0) {
+    showErrors(actionErrorsEl, [
+      `Exported, but ${result.schemaProblems.toLocaleString()} value(s) do not match ${EXPORT_SCHEMA_FILE}:`,
+      ...result.schemaErrors,
+    ])
+  }
+})
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type === 'export_progress' && isExporting) {
+    const pct = msg.total > 0 ? Math.floor((msg.done / msg.total) * 100) : 0
+    exportBtn.textContent = `Exporting ${pct}%`
+  }
+})
+
+mergeBtn.addEventListener('click', async () => {
+  const ids = selectedIds()
+  if (!confirm(`Merge ${ids.length} sessions into the earliest one? This cannot be undone.`)) return
+  showErrors(actionErrorsEl, [])
+
+  const result = await chrome.runtime.sendMessage({ type: 'manager_merge_sessions', sessionIds: ids })
+  if (!result || !result.success) {
+    showErrors(actionErrorsEl, [result?.error || 'Merge failed'])
+    return
+  }
+  selected.clear()
+  selected.add(result.sessionId)
+  detailSessionId = null
+  await loadSessions()
+  showDetail(result.sessionId)
+})
+
+deleteBtn.addEventListener('click', async () => {
+  const ids = selectedIds()
+  if (!confirm(`Delete ${ids.length} session${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) return
+  showErrors(actionErrorsEl, [])
+
+  const result = await chrome.runtime.sendMessage({ type: 'manager_delete_sessions', sessionIds: ids })
+  if (!result || !result.success) {
+    showErrors(actionErrorsEl, [result?.error || 'Delete failed'])
+    return
+  }
+  selected.clear()
+  await loadSessions()
+})
+
+// ── Synthetic sessions (see synthetic.js) ───────────────────────────
+function fillSelect(select, choices) {
+  select.replaceChildren(...Object.entries(choices).map(([value, text]) => new Option(text, value)))
+}
+
+// Recorded sessions only; the one open in the detail panel by default
+function fillReplaySources() {
+  const previous = synthSourceEl.value
+  synthSourceEl.replaceChildren(...sessions.filter(s => !s.synthetic).map(session => {
+    const { label } = sessionAnnotation(session)
+    return new Option(`${formatTime(session.startTime)} · ${label} · ${session.sessionId.slice(0, 8)}`, session.sessionId)
+  }))
+  const wanted = [previous, detailSessionId].find(sid => sessions.some(s => s.sessionId === sid && !s.synthetic))
+  if (wanted) synthSourceEl.value = wanted
+}
+
+function updateSyntheticForm() {
+  const replay = synthStrategyEl.value === 'replay'
+  synthSourceField.classList.toggle('hidden', !replay)
+  synthTypingField.classList.toggle('hidden', replay)
+}
+
+fillSelect(synthStrategyEl, SYNTHETIC_STRATEGIES)
+fillSelect(synthTypingEl, SYNTHETIC_TYPING)
+synthStrategyEl.value = DEFAULT_GENERATOR.strategy
+synthTypingEl.value = DEFAULT_GENERATOR.typing
+for (const [name, el] of Object.entries(synthNumberEls)) el.value = DEFAULT_GENERATOR[name]
+updateSyntheticForm()
+synthStrategyEl.addEventListener('change', updateSyntheticForm)
+
+synthGenerateBtn.addEventListener('click', async () => {
+  const raw = {
+    strategy: synthStrategyEl.value,
+    typing: synthTypingEl.value,
+    sourceSessionId: synthSourceEl.value || null,
+    seed: synthSeedEl.value === '' ? null : Number(synthSeedEl.value),
+  }
+  for (const [name, el] of Object.entries(synthNumberEls)) raw[name] = Number(el.value)
+  const { options, errors } = validateGeneratorOptions(raw)
+  showErrors(synthErrorsEl, errors)
+  if (errors.length > 0) return
+
+  synthGenerateBtn.disabled = true
+  synthGenerateBtn.textContent = 'Generating…'
+  const result = await chrome.runtime.sendMessage({ type: 'manager_generate_synthetic', options })
+  synthGenerateBtn.disabled = false
+  synthGenerateBtn.textContent = 'Generate'
+  if (!result || !result.success) {
+    showErrors(synthErrorsEl, [result?.error || 'Generation failed'])
+    return
+  }
+
+  const count = result.sessionIds.length
+  synthResultEl.textContent = `Generated ${count} session${count === 1 ? '' : 's'}`
+  setTimeout(() => { synthResultEl.textContent = '' }, 3000)
+  await loadSessions()
+})
+
+// ── Import ──────────────────────────────────────────────────────────
+// Files are parsed and validated here; the background stores them in
+// chunks and reports duplicates and conflicts per segment.
+async function importSession(session, source, schema) {
+  const short = session.sessionId.slice(0, 8)
+  const errors = validateExportedSession(session, schema)
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : ''
+    return { problem: true, text: `${source}: skipped session ${short}: ${errors.slice(0, 3).join('; ')}${more}` }
+  }
+
+  const started = await chrome.runtime.sendMessage({
+    type: 'manager_import_session',
+    sessionId: session.sessionId,
+    header: session.header,
+    source,
+  })
+  if (!started || !started.success) {
+    return { problem: true, text: `${source}: session ${short}: ${started?.error || 'import failed'}` }
+  }
+  if (started.status === 'conflict') {
+    return { problem: true, text: `${source}: session ${short} conflicts with a stored session that has the same id but a different start time; skipped` }
+  }
+
+  let added = 0
+  let duplicates = 0
+  const conflicts = []
+  for (let i = 0; i < session.segments.length; i += IMPORT_CHUNK_SEGMENTS) {
+    const result = await chrome.runtime.sendMessage({
+      type: 'manager_import_segments',
+      sessionId: session.sessionId,
+      segments: session.segments.slice(i, i + IMPORT_CHUNK_SEGMENTS),
+    })
+    if (!result || !result.success) {
+      return { problem: true, text: `${source}: session ${short}: ${result?.error || 'import failed'} after ${added} segments` }
+    }
+    added += result.added
+    duplicates += result.duplicates
+    conflicts.push(...result.conflicts)
+  }
+
+  let text = `${source}: session ${short} ${started.status}, ${added} segments added`
+  if (duplicates > 0) text += `, ${duplicates} already stored`
+  if (conflicts.length > 0) {
+    const listed = conflicts.slice(0, 3).map(c => `tab ${c.tabId} segment ${c.segmentId}`).join(', ')
+    text += `, ${conflicts.length} conflicting (stored copy kept: ${listed}${conflicts.length > 3 ? ', …' : ''})`
+  }
+  return { problem: conflicts.length > 0, text }
+}
+
+async function importFile(file) {
+  let sessions
+  try {
+    sessions = parseExportText(await file.text())
+  } catch (err) {
+    return [{ problem: true, text: `${file.name}: ${err.message}` }]
+  }
+  if (sessions.length === 0) return [{ problem: true, text: `${file.name}: no sessions found` }]
+
+  const schema = await loadExportSchema()
+  const lines = []
+  for (const session of sessions) lines.push(await importSession(session, file.name, schema))
+  return lines
+}
+
+importInput.addEventListener('change', async () => {
+  const files = [...importInput.files]
+  if (files.length === 0) return
+  importLabel.classList.add('busy')
+  importReportEl.classList.remove('hidden')
+  importReportEl.replaceChildren()
+
+  for (const [i, file] of files.entries()) {
+    importLabel.firstChild.textContent = `Importing ${i + 1}/${files.length}… `
+    for (const line of await importFile(file)) {
+      const li = document.createElement('li')
+      li.textContent = line.text
+      if (line.problem) li.className = 'problem'
+      importReportEl.append(li)
+    }
+  }
+
+  importLabel.firstChild.textContent = 'Import… '
+  importLabel.classList.remove('busy')
+  importInput.value = ''
+  await loadSessions()
+})
+
+// Pick up sessions recorded while the page sat in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') loadSessions()
+})
+
+loadSessions()
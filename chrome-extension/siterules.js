@@ -0,0 +1,108 @@
+// TicketMonarch Telemetry Collector — Site Rules
+// Shared by the content script, the background worker, the popup and the
+// options page. Decides which pages may be recorded at all.
+//
+// Pattern syntax (one per line in the options page):
+//   shop.example.com          exact hostname
+//   *.example.com             example.com and every subdomain
+//   example.com/checkout/*    hostname + path, `*` matches anything
+//   https://example.com/*     same, scheme is ignored
+// Deny rules always win. In "allowlist" mode only matching pages record.
+
+'use strict'
+
+const SITE_RULES_STORAGE_KEY = 'siteRules'   // chrome.storage.sync
+const SITE_RULE_MODES = ['all', 'allowlist']
+const MAX_SITE_PATTERN_LENGTH = 200
+
+const DEFAULT_SITE_RULES = {
+  mode: 'all',
+  allow: [],
+  deny: [],
+}
+
+// Browser-internal pages never get a content script
+function isRestrictedUrl(url) {
+  return !url || url.startsWith('chrome://') ||
+         url.startsWith('chrome-extension://') || url.startsWith('about:')
+}
+
+// ── Pattern matching ────────────────────────────────────────────────
+function globToRegExpSource(glob) {
+  return glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+}
+
+function matchesSitePattern(url, pattern) {
+  let parsed
+  try { parsed = new URL(url) } catch { return false }
+
+  const normalized = pattern.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+  const slash = normalized.indexOf('/')
+  const hostPattern = slash === -1 ? normalized : normalized.slice(0, slash)
+  const pathPattern = slash === -1 ? null : normalized.slice(slash)
+
+  // `*.example.com` also covers the bare domain
+  const hostSource = hostPattern.startsWith('*.')
+    ? `(.*\\.)?${globToRegExpSource(hostPattern.slice(2))}`
+    : globToRegExpSource(hostPattern)
+  if (!new RegExp(`^${hostSource}$`).test(parsed.hostname.toLowerCase())) return false
+
+  if (pathPattern === null) return true
+  const path = (parsed.pathname + parsed.search).toLowerCase()
+  return new RegExp(`^${globToRegExpSource(pathPattern)}$`).test(path)
+}
+
+// Returns { allowed, reason } where reason is one of
+// 'allowed', 'restricted', 'denylisted' or 'not-allowlisted'
+function siteRuleDecision(url, rules) {
+  if (isRestrictedUrl(url)) return { allowed: false, reason: 'restricted' }
+  if (rules.deny.some(p => matchesSitePattern(url, p))) return { allowed: false, reason: 'denylisted' }
+  if (rules.mode === 'allowlist' && !rules.allow.some(p => matchesSitePattern(url, p))) {
+    return { allowed: false, reason: 'not-allowlisted' }
+  }
+  return { allowed: true, reason: 'allowed' }
+}
+
+function isUrlAllowed(url, rules) {
+  return siteRuleDecision(url, rules).allowed
+}
+
+// ── Validation / storage ────────────────────────────────────────────
+// Returns { rules, errors }; invalid patterns are dropped from `rules`
+function validateSiteRules(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const rules = { ...DEFAULT_SITE_RULES, allow: [], deny: [] }
+  const errors = []
+
+  if (input.mode !== undefined) {
+    if (SITE_RULE_MODES.includes(input.mode)) {
+      rules.mode = input.mode
+    } else {
+      errors.push(`Unknown site rule mode: ${input.mode}`)
+    }
+  }
+
+  for (const list of ['allow', 'deny']) {
+    if (input[list] === undefined) continue
+    if (!Array.isArray(input[list])) {
+      errors.push(`${list} must be a list of patterns`)
+      continue
+    }
+    for (const entry of input[list]) {
+      const pattern = typeof entry === 'string' ? entry.trim() : ''
+      if (!pattern) continue
+      if (/\s/.test(pattern) || pattern.length > MAX_SITE_PATTERN_LENGTH || pattern.startsWith('/')) {
+        errors.push(`Invalid ${list} pattern: ${pattern}`)
+      } else if (!rules[list].includes(pattern)) {
+        rules[list].push(pattern)
+      }
+    }
+  }
+
+  return { rules, errors }
+}
+
+async function loadSiteRules() {
+  const result = await chrome.storage.sync.get(SITE_RULES_STORAGE_KEY)
+  return validateSiteRules(result[SITE_RULES_STORAGE_KEY]).rules
+}
@@ -0,0 +1,432 @@
+// TicketMonarch Telemetry Collector — Synthetic Traces
+// Shared by the background worker and the session manager. Generates
+// bot-like sessions as negative training samples in exactly the shape
+// the content script stores: flush records per segment, mouse sampled at
+// the configured interval until the idle threshold ends the segment,
+// clicks / keystrokes / scroll carrying dt_since_last. Generated sessions
+// are labelled 'bot' and carry a `synthetic` block saying how they were
+// made; a seed reproduces a session exactly.
+
+'use strict'
+
+const SYNTHETIC_GENERATOR_VERSION = 1
+
+// Cursor movement, or a recorded session played back with noise
+const SYNTHETIC_STRATEGIES = {
+  teleport: 'Straight-line teleport',
+  linear: 'Linear interpolation',
+  bezier: 'Bézier curves with Gaussian jitter',
+  replay: 'Replayed human session with perturbation',
+}
+
+// Keyboard input of the scripted strategies; a replay keeps the source's
+// keystrokes (with its timing perturbed)
+const SYNTHETIC_TYPING = {
+  constant: 'Constant-interval typing',
+  none: 'No typing',
+}
+
+const DEFAULT_GENERATOR = {
+  strategy: 'bezier',
+  typing: 'constant',
+  sessions: 1,
+  segments: 5,              // per session
+  moveMs: 400,              // cursor travel time per move (linear, bezier)
+  jitterPx: 2,              // Gaussian sigma on positions (bezier, replay)
+  timeJitterMs: 10,         // Gaussian sigma on event times (replay)
+  keyIntervalMs: 120,       // between presses when typing
+  sourceSessionId: null,    // the session a replay plays back
+  seed: null,               // null = random
+}
+
+// [min, max] for each numeric option
+const GENERATOR_LIMITS = {
+  sessions: [1, 50],
+  segments: [1, 50],
+  moveMs: [0, 5000],
+  jitterPx: [0, 50],
+  timeJitterMs: [0, 500],
+  keyIntervalMs: [10, 2000],
+}
+
+// The page scripted sessions "visit"; .invalid never resolves
+const SYNTHETIC_PAGE = {
+  url: 'https://synthetic.invalid/',
+  hostname: 'synthetic.invalid',
+  width: 1280,
+  height: 720,
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+// Returns { options, errors }; invalid fields fall back to their default
+function validateGeneratorOptions(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {}
+  const options = { ...DEFAULT_GENERATOR }
+  const errors = []
+
+  if (input.strategy !== undefined) {
+    if (Object.hasOwn(SYNTHETIC_STRATEGIES, input.strategy)) {
+      options.strategy = input.strategy
+    } else {
+      errors.push(`strategy must be one of: ${Object.keys(SYNTHETIC_STRATEGIES).join(', ')}`)
+    }
+  }
+
+  if (input.typing !== undefined) {
+    if (Object.hasOwn(SYNTHETIC_TYPING, input.typing)) {
+      options.typing = input.typing
+    } else {
+      errors.push(`typing must be one of: ${Object.keys(SYNTHETIC_TYPING).join(', ')}`)
+    }
+  }
+
+  for (const [name, [min, max]] of Object.entries(GENERATOR_LIMITS)) {
+    if (input[name] === undefined) continue
+    const value = input[name]
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} must be a whole number between ${min} and ${max}`)
+    } else {
+      options[name] = value
+    }
+  }
+
+  if (input.seed !== undefined && input.seed !== null) {
+    if (!Number.isInteger(input.seed) || input.seed < 0 || input.seed > 0xFFFFFFFF) {
+      errors.push('seed must be a whole number between 0 and 4294967295')
+    } else {
+      options.seed = input.seed
+    }
+  }
+
+  if (typeof input.sourceSessionId === 'string' && input.sourceSessionId) {
+    options.sourceSessionId = input.sourceSessionId
+  }
+  if (options.strategy === 'replay' && !options.sourceSessionId) {
+    errors.push('A replay needs a source session')
+  }
+
+  return { options, errors }
+}
+
+// ── Seeded randomness ───────────────────────────────────────────────
+// mulberry32: small, fast and good enough for noise
+function createRandom(seed) {
+  let state = seed >>> 0
+  function next() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  return {
+    next,
+    between: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    // Box–Muller
+    gaussian: (sigma) => sigma === 0 ? 0 : sigma * Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+  }
+}
+
+// ── Cursor paths ────────────────────────────────────────────────────
+// A move is { start, end, from, to, at(u) } with u running 0 → 1 over
+// [start, end]; between moves the cursor rests where the last one ended.
+function movePath(strategy, from, to, rng) {
+  if (strategy === 'teleport') return () => to
+  if (strategy === 'linear') {
+    return u => ({ x: from.x + (to.x - from.x) * u, y: from.y + (to.y - from.y) * u })
+  }
+
+  // Cubic Bézier bowed sideways by a random amount, eased at both ends
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const length = Math.hypot(dx, dy) || 1
+  const normal = { x: -dy / length, y: dx / length }
+  const bow1 = rng.gaussian(length * 0.2)
+  const bow2 = rng.gaussian(length * 0.2)
+  const c1 = { x: from.x + dx * 0.3 + normal.x * bow1, y: from.y + dy * 0.3 + normal.y * bow1 }
+  const c2 = { x: from.x + dx * 0.7 + normal.x * bow2, y: from.y + dy * 0.7 + normal.y * bow2 }
+  return (u) => {
+    const s = u * u * (3 - 2 * u)
+    const r = 1 - s
+    return {
+      x: r * r * r * from.x + 3 * r * r * s * c1.x + 3 * r * s * s * c2.x + s * s * s * to.x,
+      y: r * r * r * from.y + 3 * r * r * s * c1.y + 3 * r * s * s * c2.y + s * s * s * to.y,
+    }
+  }
+}
+
+// Where the cursor is at time t. Moves before `first` have ended by
+// then and left it at moves[first - 1].to.
+function cursorAt(moves, t, first = 0) {
+  let position = first > 0 ? moves[first - 1].to : moves[0].from
+  for (let i = first; i < moves.length; i++) {
+    const move = moves[i]
+    if (move.start > t) break
+    if (t >= move.end) {
+      position = move.to
+    } else {
+      return { position: move.at((t - move.start) / (move.end - move.start)), moving: true }
+    }
+  }
+  return { position, moving: false }
+}
+
+// The content script samples the last known position every interval
+// from the first movement until the segment goes idle. Sample times only
+// go forward, so moves and scrolls already passed are skipped for good
+// and a long replayed path is sampled in linear time.
+function sampleMouse(segment, moves, config, jitterPx, rng) {
+  const mouse = []
+  let movesEnded = 0
+  let scrollsSeen = 0
+  for (let t = moves[0].start; t <= segment.end; t += config.mouseSampleIntervalMs) {
+    while (movesEnded < moves.length && moves[movesEnded].end <= t) movesEnded++
+    while (scrollsSeen < segment.scroll.length && segment.scroll[scrollsSeen].t <= t) scrollsSeen++
+
+    const { position, moving } = cursorAt(moves, t, movesEnded)
+    const x = Math.round(position.x + (moving ? rng.gaussian(jitterPx) : 0))
+    const y = Math.round(position.y + (moving ? rng.gaussian(jitterPx) : 0))
+    const { scrollX, scrollY } = scrollsSeen > 0 ? segment.scroll[scrollsSeen - 1] : { scrollX: 0, scrollY: 0 }
+    mouse.push({ x, y, pageX: x + scrollX, pageY: y + scrollY, t })
+  }
+  return mouse
+}
+
+// ── Segments ────────────────────────────────────────────────────────
+// Earliest and latest event time over the given types, in a loop: a
+// long segment has too many events to spread into Math.min
+function eventTimeRange(segment, types) {
+  let first = Infinity
+  let last = -Infinity
+  for (const type of types) {
+    for (const event of segment[type] || []) {
+      first = Math.min(first, event.t)
+      last = Math.max(last, event.t)
+    }
+  }
+  return { first, last }
+}
+
+// dt_since_last as the content script computes it: since the previous
+// click / scroll in the segment, and since the previous press in the
+// same field for keystrokes
+function fillIntervals(segment) {
+  for (const type of ['clicks', 'scroll']) {
+    let last = null
+    for (const event of segment[type]) {
+      event.dt_since_last = last !== null ? event.t - last : null
+      last = event.t
+    }
+  }
+  const lastByField = {}
+  for (const press of segment.keystrokes) {
+    const last = lastByField[press.field]
+    press.dt_since_last = last !== undefined ? press.t - last : null
+    lastByField[press.field] = press.t
+  }
+}
+
+function typeText(keystrokes, t, field, options, config, rng) {
+  const hold = Math.min(60, Math.round(options.keyIntervalMs / 2))
+  const length = rng.int(4, 12)
+  for (let i = 0; i < length; i++) {
+    const category = rng.next() < 0.8 ? 'letter' : 'digit'
+    keystrokes.push({ field, type: 'press', t, duration: hold, repeat: false, repeatCount: 0, category, key: null })
+    t += options.keyIntervalMs
+  }
+  // Leave the field the way form bots do
+  const key = config.loggableKeys.includes('Tab') ? 'Tab' : null
+  keystrokes.push({ field, type: 'press', t, duration: hold, repeat: false, repeatCount: 0, category: 'navigation', key })
+  return t + options.keyIntervalMs
+}
+
+// Moves to a few targets, clicking each and filling in the fields
+function scriptedSegment(start, options, config, rng) {
+  const { width, height } = SYNTHETIC_PAGE
+  const segment = { url: SYNTHETIC_PAGE.url, hostname: SYNTHETIC_PAGE.hostname, clicks: [], keystrokes: [], scroll: [] }
+  const moves = []
+  let cursor = { x: rng.between(0, width), y: rng.between(0, height) }
+  let scrollY = 0
+  let t = start
+
+  const actions = rng.int(3, 6)
+  for (let i = 0; i < actions; i++) {
+    const to = { x: Math.round(rng.between(40, width - 40)), y: Math.round(rng.between(40, height - 40)) }
+    const duration = options.strategy === 'teleport' ? 0 : options.moveMs
+    moves.push({ start: t, end: t + duration, from: cursor, to, at: movePath(options.strategy, cursor, to, rng) })
+    cursor = to
+    t += duration
+
+    const isField = options.typing === 'constant' && rng.next() < 0.5
+    const id = `${isField ? 'field' : 'button'}-${i + 1}`
+    segment.clicks.push({
+      t,
+      x: to.x,
+      y: to.y,
+      button: 'left',
+      target: { tag: isField ? 'INPUT' : 'BUTTON', id, classes: null, name: isField ? id : null, type: isField ? 'text' : 'submit', text: '' },
+    })
+    t += rng.between(50, 150)
+    if (isField) t = typeText(segment.keystrokes, t, id, options, config, rng)
+
+    // Scroll straight down in even steps now and then
+    if (rng.next() < 0.3) {
+      const step = Math.max(config.scrollThrottleMs, 16)
+      for (let n = rng.int(3, 6); n > 0; n--) {
+        scrollY += 100
+        segment.scroll.push({ t, scrollX: 0, scrollY, dx: 0, dy: 100, source: 'other' })
+        t += step
+      }
+    }
+    t += rng.between(200, 800)
+  }
+
+  segment.end = t + config.idleThresholdMs
+  fillIntervals(segment)
+  segment.mouse = sampleMouse(segment, moves, config, options.strategy === 'bezier' ? options.jitterPx : 0, rng)
+  return segment
+}
+
+// Merged segments of the source session with input worth replaying
+function replayableSegments(segments) {
+  return segments.filter(seg => ['mouse', 'clicks', 'keystrokes'].some(type => (seg[type] || []).length > 0))
+}
+
+// A source segment moved to `start`, with Gaussian noise on positions
+// and event times; the mouse path is resampled at the configured rate
+function replaySegment(source, start, options, config, rng) {
+  const shift = start - eventTimeRange(source, ['mouse', 'clicks', 'keystrokes', 'scroll']).first
+  const time = t => Math.max(start, t + shift + rng.gaussian(options.timeJitterMs))
+  const byTime = (a, b) => a.t - b.t
+
+  const segment = {
+    url: source.url,
+    hostname: source.hostname,
+    clicks: (source.clicks || []).map(click => ({
+      ...click,
+      t: time(click.t),
+      x: Math.round(click.x + rng.gaussian(options.jitterPx)),
+      y: Math.round(click.y + rng.gaussian(options.jitterPx)),
+    })).sort(byTime),
+    keystrokes: (source.keystrokes || []).filter(k => k.type === 'press').map(press => ({
+      ...press,
+      t: time(press.t),
+      duration: press.duration === null ? null : Math.max(1, press.duration + rng.gaussian(options.timeJitterMs)),
+    })).sort(byTime),
+    scroll: (source.scroll || []).map(event => ({ ...event, t: time(event.t) })).sort(byTime),
+  }
+  const last = Math.max(eventTimeRange(segment, ['clicks', 'keystrokes', 'scroll']).last, start)
+
+  // Straight lines between the recorded samples; a source without mouse
+  // input rests in the middle of the page
+  const points = (source.mouse || []).map(m => ({ t: m.t + shift, x: m.x, y: m.y }))
+  if (points.length === 0) points.push({ t: start, x: SYNTHETIC_PAGE.width / 2, y: SYNTHETIC_PAGE.height / 2 })
+  const moves = points.slice(1).map((to, i) => {
+    const from = points[i]
+    return { start: from.t, end: to.t, from, to, at: movePath('linear', from, to, rng) }
+  })
+  moves.unshift({ start: points[0].t, end: points[0].t, from: points[0], to: points[0], at: () => points[0] })
+
+  segment.end = Math.max(last, points.at(-1).t) + config.idleThresholdMs
+  fillIntervals(segment)
+  segment.mouse = sampleMouse(segment, moves, config, options.jitterPx, rng)
+  return segment
+}
+
+// ── Flush records ───────────────────────────────────────────────────
+// Split the way the content script's flush timer splits a segment: one
+// record per flush interval that saw input, the last one ending the
+// segment when it goes idle
+function flushRecords(segment, segmentId, timeOrigin, config) {
+  const records = []
+  const { first } = eventTimeRange(segment, EVENT_TYPES)
+  for (let from = first; from <= segment.end; from += config.flushIntervalMs) {
+    const to = from + config.flushIntervalMs
+    const isSegmentEnd = to > segment.end
+    const record = {
+      segmentId,
+      tabId: null,
+      frameId: 0,
+      url: segment.url,
+      hostname: segment.hostname,
+      frameUrl: segment.url,
+      frameOffset: null,
+      timeOrigin,
+      timestamp: timeOrigin + (isSegmentEnd ? segment.end : to),
+      isSegmentEnd,
+    }
+    for (const type of EVENT_TYPES) {
+      record[type] = (segment[type] || []).filter(e => e.t >= from && (isSegmentEnd || e.t < to))
+    }
+    if (isSegmentEnd || EVENT_TYPES.some(type => record[type].length > 0)) records.push(record)
+  }
+  return records
+}
+
+// ── Sessions ────────────────────────────────────────────────────────
+// { session, segments, pageMeta } ready to store. `source` is the merged
+// segments of the session a replay plays back. The session ends `now`.
+function generateSyntheticSession(options, { sessionId, seed, config, source = null, now = Date.now() }) {
+  const rng = createRandom(seed)
+  const sourceSegments = source ? replayableSegments(source.segments) : []
+
+  const segments = []
+  let t = rng.between(500, 2000)   // page load to first input
+  for (let i = 0; i < options.segments; i++) {
+    const segment = options.strategy === 'replay'
+      ? replaySegment(sourceSegments[i % sourceSegments.length], t, options, config, rng)
+      : scriptedSegment(t, options, config, rng)
+    segments.push(segment)
+    t = segment.end + rng.between(500, 5000)
+  }
+
+  const timeOrigin = now - segments.at(-1).end
+  const records = segments.flatMap((segment, i) => flushRecords(segment, i + 1, timeOrigin, config))
+  // Numbered like one content-script run's flushes (see quality.js)
+  const seqStream = rng.next().toString(36).slice(2, 10)
+  records.forEach((record, i) => Object.assign(record, { sessionId, seq: i + 1, seqStream }))
+
+  const url = segments[0].url
+  const pageMeta = [{
+    sessionId,
+    tabId: null,
+    frameId: 0,
+    segmentId: 1,
+    url,
+    hostname: segments[0].hostname,
+    frameUrl: url,
+    clientHints: {
+      innerWidth: SYNTHETIC_PAGE.width,
+      innerHeight: SYNTHETIC_PAGE.height,
+      devicePixelRatio: 1,
+      userAgent: `TicketMonarch synthetic generator ${SYNTHETIC_GENERATOR_VERSION}`,
+    },
+    network: null,
+    timeOrigin,
+    timestamp: timeOrigin,
+  }]
+
+  const session = {
+    sessionId,
+    startTime: Math.floor(timeOrigin),
+    ...DEFAULT_ANNOTATION,
+    label: 'bot',
+    tags: ['synthetic', options.strategy],
+    config,
+    configChanges: [],
+    synthetic: {
+      generatorVersion: SYNTHETIC_GENERATOR_VERSION,
+      strategy: options.strategy,
+      typing: options.strategy === 'replay' ? null : options.typing,
+      seed,
+      moveMs: options.moveMs,
+      jitterPx: options.jitterPx,
+      timeJitterMs: options.timeJitterMs,
+      keyIntervalMs: options.keyIntervalMs,
+      sourceSessionId: source ? source.sessionId : null,
+      generatedAt: now,
+    },
+  }
+  return { session, segments: records, pageMeta }
+}
@@ -0,0 +1,205 @@
+// TicketMonarch Telemetry Collector — Collector Upload
+// Loaded into the background worker (and the options page, for the
+// settings helpers). Stored flushes are grouped into batches, merged and
+// POSTed to a user-configured collector endpoint. Batches wait in the
+// IndexedDB `outbox` store until the collector acknowledges them with a
+// 2xx response, so a killed service worker just resumes on next wake.
+//
+// A segment that is still being recorded can span two batches; the
+// collector should append by (sessionId, tabId, segmentId).
+
+'use strict'
+
+const UPLOAD_SETTINGS_KEY = 'uploadSettings'   // chrome.storage.local
+const UPLOAD_STATUS_KEY = 'uploadStatus'       // chrome.storage.local
+const UPLOAD_ALARM = 'tm-upload'
+const UPLOAD_ALARM_PERIOD_MIN = 1
+const UPLOAD_TIMEOUT_MS = 30 * 1000
+const BACKOFF_BASE_MS = 30 * 1000
+const BACKOFF_MAX_MS = 60 * 60 * 1000
+
+const DEFAULT_UPLOAD_SETTINGS = {
+  enabled: false,
+  endpoint: '',
+  authHeaderName: 'Authorization',
+  authHeaderValue: '',
+  batchSize: 50,   // stored flushes per POST
+}
+
+// ── Settings ────────────────────────────────────────────────────────
+async function getUploadSettings() {
+  const result = await chrome.storage.local.get(UPLOAD_SETTINGS_KEY)
+  return { ...DEFAULT_UPLOAD_SETTINGS, ...(result[UPLOAD_SETTINGS_KEY] || {}) }
+}
+
+// Returns a list of human-readable problems (empty when valid)
+function validateUploadSettings(settings) {
+  const errors = []
+
+  if (settings.enabled || settings.endpoint) {
+    let url = null
+    try { url = new URL(settings.endpoint) } catch { /* handled below */ }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      errors.push('Collector URL must be an http:// or https:// address')
+    }
+  }
+
+  if (settings.authHeaderValue && !/^[A-Za-z0-9-]+$/.test(settings.authHeaderName || '')) {
+    errors.push('Auth header name may only contain letters, digits and dashes')
+  }
+
+  if (!Number.isInteger(settings.batchSize) || settings.batchSize < 1 || settings.batchSize > 1000) {
+    errors.push('Batch size must be a whole number between 1 and 1000')
+  }
+
+  return errors
+}
+
+// Exponential backoff with jitter: 30s, 1m, 2m, ... capped at 1h
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS)
+  return delay / 2 + Math.random() * (delay / 2)
+}
+
+// ── Outbox ──────────────────────────────────────────────────────────
+// Moves new flush records into outbox batches of at most `batchSize`
+// records, never mixing sessions. Returns the number of batches created.
+function queueNewSegments(batchSize) {
+  return withTransaction(['segments', 'outbox'], 'readwrite', async tx => {
+    const segmentStore = tx.objectStore('segments')
+    const outboxStore = tx.objectStore('outbox')
+    const records = await requestToPromise(
+      segmentStore.index('syncState').getAll(IDBKeyRange.only(SYNC_NEW), batchSize * 20))
+
+    const bySession = new Map()
+    for (const record of records) {
+      if (!bySession.has(record.sessionId)) bySession.set(record.sessionId, [])
+      bySession.get(record.sessionId).push(record)
+    }
+
+    const now = Date.now()
+    let created = 0
+    for (const [sid, sessionRecords] of bySession) {
+      for (let i = 0; i < sessionRecords.length; i += batchSize) {
+        const chunk = sessionRecords.slice(i, i + batchSize)
+        outboxStore.add({
+          batchId: crypto.randomUUID(),
+          sessionId: sid,
+          recordIds: chunk.map(r => r.id),
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: now,
+          lastError: null,
+        })
+        created++
+      }
+    }
+
+    for (const record of records) segmentStore.put({ ...record, syncState: SYNC_QUEUED })
+    return created
+  })
+}
+
+function getDueBatches(now) {
+  return withTransaction('outbox', 'readonly', tx =>
+    requestToPromise(tx.objectStore('outbox').index('nextAttemptAt').getAll(IDBKeyRange.upperBound(now))))
+}
+
+function getBatchRecords(batch) {
+  return withTransaction('segments', 'readonly', async tx => {
+    const store = tx.objectStore('segments')
+    const records = await Promise.all(batch.recordIds.map(id => requestToPromise(store.get(id))))
+    return records.filter(Boolean)
+  })
+}
+
+function markBatchSynced(batch) {
+  return withTransaction(['segments', 'outbox'], 'readwrite', async tx => {
+    const store = tx.objectStore('segments')
+    for (const id of batch.recordIds) {
+      const record = await requestToPromise(store.get(id))
+      if (record) store.put({ ...record, syncState: SYNC_SYNCED })
+    }
+    tx.objectStore('outbox').delete(batch.batchId)
+  })
+}
+
+function markBatchFailed(batch, error) {
+  const attempts = batch.attempts + 1
+  return withTransaction('outbox', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('outbox').put({
+      ...batch,
+      attempts,
+      nextAttemptAt: Date.now() + backoffDelay(attempts),
+      lastError: error,
+    })))
+}
+
+function deleteOutboxBatch(batchId) {
+  return withTransaction('outbox', 'readwrite', tx =>
+    requestToPromise(tx.objectStore('outbox').delete(batchId)))
+}
+
+// Deletes every acknowledged flush record; returns a Map of sessionId →
+// where each deleted flush came from and its number (see quality.js)
+function deleteSyncedSegments() {
+  return withTransaction('segments', 'readwrite', tx => new Promise((resolve, reject) => {
+    const store = tx.objectStore('segments')
+    const deleted = new Map()
+    const req = store.index('syncState').openCursor(IDBKeyRange.only(SYNC_SYNCED))
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return resolve(deleted)
+      const { sessionId, mergedFrom, tabId, frameId, seq, seqStream } = cursor.value
+      if (!deleted.has(sessionId)) deleted.set(sessionId, [])
+      deleted.get(sessionId).push({ mergedFrom, tabId, frameId, seq, seqStream })
+      cursor.delete()
+      cursor.continue()
+    }
+    req.onerror = () => reject(req.error)
+  }))
+}
+
+function getUploadCounts() {
+  return withTransaction('segments', 'readonly', async tx => {
+    const index = tx.objectStore('segments').index('syncState')
+    const pending = await requestToPromise(index.count(IDBKeyRange.bound(SYNC_NEW, SYNC_QUEUED)))
+    const uploaded = await requestToPromise(index.count(IDBKeyRange.only(SYNC_SYNCED)))
+    return { pending, uploaded }
+  })
+}
+
+// ── Transport ───────────────────────────────────────────────────────
+// `session` carries the stored session record (startTime, config, ...)
+function buildBatchPayload(batch, session, records) {
+  return {
+    batchId: batch.batchId,
+    sessionId: batch.sessionId,
+    session: session ? { ...session, ...sessionAnnotation(session) } : null,
+    segments: mergeSegments(records),
+  }
+}
+
+// Resolves when the collector acknowledged the batch; throws otherwise
+async function postBatch(settings, payload) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (settings.authHeaderValue) headers[settings.authHeaderName] = settings.authHeaderValue
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), UPLOAD_TIMEOUT_MS)
+
+  try {
+    const response = await fetch(settings.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    })
+    if (!response.ok) throw new Error(`Collector responded ${response.status}`)
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error('Collector request timed out')
+    throw err
+  } finally {
+    clearTimeout(timer)
+  }
+}
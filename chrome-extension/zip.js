@@ -0,0 +1,118 @@
+// TicketMonarch Telemetry Collector — ZIP Writer
+// Loaded by the offscreen export builder. Writes uncompressed ("stored")
+// ZIP archives with no dependencies and no network access. Entry data is
+// kept as Blob parts, so large tables are never held as one string.
+// Archives over 4 GB (ZIP64) are not supported.
+
+'use strict'
+
+const ZIP_CHUNK_CHARS = 1 << 20
+const ZIP_MAX_SIZE = 0xFFFFFFFF
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32Update(crc, bytes) {
+  let c = crc ^ 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+// Text entry written a chunk at a time; the CRC and size are tracked as
+// the UTF-8 bytes are produced
+function createZipEntryWriter(name) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let chunk = ''
+  let crc = 0
+  let size = 0
+
+  function flush() {
+    if (!chunk) return
+    const bytes = encoder.encode(chunk)
+    crc = crc32Update(crc, bytes)
+    size += bytes.length
+    parts.push(new Blob([bytes]))
+    chunk = ''
+  }
+
+  return {
+    write(str) {
+      chunk += str
+      if (chunk.length >= ZIP_CHUNK_CHARS) flush()
+    },
+    finish() {
+      flush()
+      return { name, data: new Blob(parts), crc, size }
+    },
+  }
+}
+
+// MS-DOS time / date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+// Blob parts of a stored archive for entries from createZipEntryWriter
+function zipParts(entries, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name)
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true)    // local file header signature
+    local.setUint16(4, 20, true)             // version needed
+    local.setUint16(6, 0x0800, true)         // UTF-8 file names
+    local.setUint16(8, 0, true)              // stored, no compression
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, entry.crc, true)
+    local.setUint32(18, entry.size, true)    // compressed size
+    local.setUint32(22, entry.size, true)    // uncompressed size
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)             // extra field length
+    parts.push(local.buffer, name, entry.data)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, 0x02014B50, true)   // central directory signature
+    header.setUint16(4, 20, true)            // version made by
+    header.setUint16(6, 20, true)            // version needed
+    header.setUint16(8, 0x0800, true)
+    header.setUint16(10, 0, true)
+    header.setUint16(12, time, true)
+    header.setUint16(14, date, true)
+    header.setUint32(16, entry.crc, true)
+    header.setUint32(20, entry.size, true)
+    header.setUint32(24, entry.size, true)
+    header.setUint16(28, name.length, true)
+    header.setUint32(42, offset, true)       // local header offset
+    central.push(header.buffer, name)
+
+    offset += 30 + name.length + entry.size
+    if (offset > ZIP_MAX_SIZE) throw new Error('Export is too large for a ZIP archive (over 4 GB)')
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)        // end of central directory signature
+  end.setUint16(8, entries.length, true)     // entries on this disk
+  end.setUint16(10, entries.length, true)    // entries total
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)            // central directory offset
+
+  return [...parts, ...central, end.buffer]
+}